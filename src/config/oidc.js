@@ -0,0 +1,58 @@
+/**
+ * OpenID Connect configuration.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+/**
+ * Returns the issuer identifier, the iss claim of every token.
+ *
+ * @returns {string} The public base URL of the service.
+ */
+export const issuer = () => process.env.ISSUER || `http://localhost:${process.env.PORT}`
+
+/**
+ * Returns the audience of access tokens, the aud claim checked by the API.
+ *
+ * @returns {string} The audience.
+ */
+export const accessTokenAudience = () => process.env.ACCESS_TOKEN_AUDIENCE || issuer()
+
+/**
+ * The user claims released by each scope, in ID tokens and from the userinfo endpoint.
+ */
+export const SCOPE_CLAIMS = {
+  openid: ['sub'],
+  email: ['email', 'email_verified'],
+  profile: ['name', 'updated_at'],
+  company: ['company', 'company_role']
+}
+
+/**
+ * Returns the claims about a user released by a set of scopes.
+ *
+ * Users belong to a company, so the company name is the name of the user.
+ *
+ * @param {object} user - The user, with company populated.
+ * @param {string[]} scopes - The granted scopes.
+ * @returns {object} The claims.
+ */
+export const claimsFor = (user, scopes) => {
+  const claims = {
+    sub: user.id,
+    email: user.email,
+    email_verified: user.emailVerified,
+    name: user.company.name,
+    updated_at: Math.floor(user.updatedAt / 1000),
+    company: {
+      id: user.company.id,
+      name: user.company.name,
+      org_no: user.company.orgNo
+    },
+    company_role: user.companyRole
+  }
+
+  const released = scopes.flatMap(scope => SCOPE_CLAIMS[scope] ?? [])
+  return Object.fromEntries(Object.entries(claims).filter(([name]) => released.includes(name)))
+}
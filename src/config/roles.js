@@ -0,0 +1,99 @@
+/**
+ * Roles and permissions.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+/**
+ * The named permissions checked by the routers.
+ */
+export const PERMISSIONS = [
+  // View users, their sessions and lockouts.
+  'users:read',
+  // Register, update, deactivate and reactivate users.
+  'users:write',
+  'users:delete',
+  'users:reset-password',
+  // Sign out sessions of other users.
+  'users:sessions',
+  // Clear login lockouts.
+  'users:lockouts',
+  // Act as a customer to reproduce issues.
+  'users:impersonate',
+  // Give users a role other than customer.
+  'roles:assign',
+  'audit:read',
+  // Register webhook endpoints and view their deliveries.
+  'webhooks:manage'
+]
+
+/**
+ * The permissions of each role.
+ */
+export const ROLES = {
+  owner: [...PERMISSIONS],
+  admin: [
+    'users:read',
+    'users:write',
+    'users:delete',
+    'users:reset-password',
+    'users:sessions',
+    'users:lockouts',
+    'users:impersonate',
+    'roles:assign',
+    'audit:read',
+    'webhooks:manage'
+  ],
+  support: [
+    'users:read',
+    'users:sessions',
+    'users:lockouts'
+  ],
+  auditor: [
+    'users:read',
+    'audit:read'
+  ],
+  customer: []
+}
+
+/**
+ * The roles that can assign roles, at least one active user must keep one of them.
+ */
+export const ADMIN_ROLES = Object.keys(ROLES).filter(role => ROLES[role].includes('roles:assign'))
+
+/**
+ * Returns true if a user with the given permissions may give a role to someone.
+ *
+ * Any role except customer needs roles:assign, and a role can never give
+ * more permissions than the user assigning it has.
+ *
+ * @param {string[]} permissions - The permissions of the assigning user.
+ * @param {string} role - The role to assign.
+ * @returns {boolean} True if the role may be assigned.
+ */
+export const canAssignRole = (permissions, role) => {
+  if (role === 'customer') {
+    return true
+  }
+
+  return permissions.includes('roles:assign') &&
+    (ROLES[role] ?? []).every(permission => permissions.includes(permission))
+}
+
+/**
+ * Scopes of API keys for the own account and company, read for GET requests and write for the rest.
+ */
+export const ACCOUNT_SCOPES = ['account:read', 'account:write']
+
+/**
+ * Returns true if a user with the given permissions may give the scopes to an API key.
+ *
+ * Keys can have the account scopes and the permissions of the user.
+ *
+ * @param {string[]} permissions - The permissions of the user.
+ * @param {string[]} scopes - The scopes of the key.
+ * @returns {boolean} True if the scopes may be given.
+ */
+export const canGrantScopes = (permissions, scopes) =>
+  scopes.every(scope => ACCOUNT_SCOPES.includes(scope) || permissions.includes(scope))
@@ -0,0 +1,24 @@
+/**
+ * WebAuthn configuration.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+/**
+ * Returns the relying party passkeys are registered with.
+ *
+ * The origin is the web app where the browser runs the ceremonies, and the
+ * id, by default its host name, scopes the passkeys.
+ *
+ * @returns {object} The name, id and origin of the relying party.
+ */
+export const relyingParty = () => {
+  const origin = process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL
+
+  return {
+    name: process.env.WEBAUTHN_RP_NAME || 'Lillje Consulting',
+    id: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+    origin
+  }
+}
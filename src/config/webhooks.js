@@ -0,0 +1,23 @@
+/**
+ * Webhook events.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+/**
+ * The events webhook endpoints can subscribe to.
+ */
+export const WEBHOOK_EVENTS = [
+  // A user was registered, by an admin or by signing in with enterprise SSO.
+  'user.registered',
+  // The email address of a user was changed and confirmed, or changed by an admin.
+  'user.email_changed',
+  // The password of a user was changed, reset from a link or reset by an admin.
+  'user.password_changed',
+  'user.deactivated',
+  'user.reactivated',
+  'user.deleted',
+  // A used refresh token or authorization code was presented again, its session was revoked.
+  'session.token_reuse_detected'
+]
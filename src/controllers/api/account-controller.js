@@ -8,10 +8,93 @@
 // import createError from 'http-errors'
 import jwt from 'jsonwebtoken'
 import createError from 'http-errors'
-import validator from 'validator'
+import { generateAuthenticationOptions, verifyAuthenticationResponse } from '@simplewebauthn/server'
 import { User } from '../../models/user.js'
 import { RefreshToken } from '../../models/refresh-token.js'
-import { add } from 'date-fns'
+import { RevokedToken } from '../../models/revoked-token.js'
+import { TokenFamily } from '../../models/token-family.js'
+import { LoginThrottle } from '../../models/login-throttle.js'
+import { Passkey } from '../../models/passkey.js'
+import { SsoLogin } from '../../models/sso-login.js'
+import { audit } from '../../utils/audit.js'
+import { publish, userPayload } from '../../utils/webhooks.js'
+import { issueTokens, redeemRefreshToken } from '../../utils/tokens.js'
+import { sendEmailChangeLinks } from '../../utils/email-links.js'
+import { checkPassword, createPasswordPolicyError } from '../../utils/password-policy.js'
+import { issuer } from '../../config/oidc.js'
+import { setRefreshCookie, clearRefreshCookie, readRefreshCookie } from '../../utils/refresh-cookie.js'
+import { storeChallenge, consumeChallenge } from '../../utils/passkeys.js'
+import { relyingParty } from '../../config/webauthn.js'
+
+/**
+ * Starts a new token family, one per signed in device.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} user - The user signing in.
+ * @param {string[]} amr - The authentication methods used.
+ * @returns {TokenFamily} The unsaved token family.
+ */
+const startSession = (req, user, amr) => new TokenFamily({
+  user: user.id,
+  userAgent: req.get('User-Agent'),
+  ip: req.ip,
+  label: req.body.label?.toString().slice(0, 100),
+  lastUsedAt: Date.now(),
+  amr
+})
+
+/**
+ * Reserves a login attempt, or rejects it with 429 if any of the keys is throttled.
+ *
+ * A reserved attempt must end with registerFailure, registerSuccess or release.
+ *
+ * @param {string[]} keys - The throttle keys of the attempt.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @returns {Promise<boolean>} True if the attempt was rejected.
+ */
+const rejectThrottled = async (keys, res, next) => {
+  const retryAfter = await LoginThrottle.reserve(keys)
+  if (!retryAfter) {
+    return false
+  }
+
+  res.set('Retry-After', String(retryAfter))
+  next(createError(429, 'Too many failed login attempts, try again later.'))
+  return true
+}
+
+/**
+ * Releases a reserved attempt that ended without a recorded outcome, e.g. when issuing the tokens failed.
+ *
+ * @param {string[]} keys - The throttle keys of the attempt, null if it has an outcome.
+ */
+const releaseUnsettled = async (keys) => {
+  if (keys) {
+    await LoginThrottle.release(keys).catch(err => console.error(err))
+  }
+}
+
+/**
+ * Sends newly issued tokens.
+ *
+ * In cookie mode the refresh token is set as an HttpOnly cookie instead of
+ * being in the body, which carries the CSRF token for the cookie.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} tokens - The tokens and any other response properties.
+ * @param {boolean} useCookie - True to set the refresh token as a cookie.
+ */
+const sendTokens = (req, res, tokens, useCookie) => {
+  if (!useCookie) {
+    res.status(200).json(tokens)
+    return
+  }
+
+  const { refresh_token: refreshToken, ...body } = tokens
+  res.status(200).json({ ...body, csrf_token: setRefreshCookie(req, res, refreshToken) })
+}
 
 /**
  * Encapsulates a controller.
@@ -25,66 +108,63 @@ export class AccountController {
    * @param {Function} next - Express next middleware function.
    */
   async login (req, res, next) {
+    let reserved = null
     try {
       // Make username case insensitive when login
-      const user = await User.authenticate(
-        req.body.email.toLowerCase(),
-        req.body.password
-      )
-      // Set user-id to sub (subject) in JWT payload
-      const payload = {
-        sub: user.id,
-        company: user.company,
-        admin: user.admin
+      const email = req.body.email.toString().toLowerCase()
+      const throttleKeys = [`email:${email}`, `ip:${req.ip}`]
+
+      if (await rejectThrottled(throttleKeys, res, next)) {
+        return
       }
-      // Create the access token with the shorter lifespan.
-      const accessToken = jwt.sign(
-        payload,
-        Buffer.from(process.env.ACCESS_TOKEN_SECRET, 'base64').toString(
-          'ascii'
-        ),
-        {
-          algorithm: 'RS256',
-          expiresIn: process.env.ACCESS_TOKEN_LIFE
-        }
-      )
-
-      // Create the refresh token with the longer lifespan.
-      const refreshToken = jwt.sign(
-        payload,
-        process.env.REFRESH_TOKEN_SECRET,
-        {
-          algorithm: 'HS256',
-          expiresIn: process.env.REFRESH_TOKEN_LIFE
-        }
-      )
+      reserved = throttleKeys
 
-      // Check if user has exisitng refresh token in db
-      const userRefreshTokenInDb = await RefreshToken.findOne({
-        user: user.id
-      })
-      // Set expiry date for token
-      if (!userRefreshTokenInDb) {
-        const newRefreshToken = new RefreshToken({
-          token: refreshToken,
-          user: user.id,
-          expire_at: add(Date.now(), { days: 1 })
-        })
-        await newRefreshToken.save()
-        // If refresh token exist in database, set new token and save old one in usedTokens
-      } else {
-        await RefreshToken.findOneAndUpdate({
-          user: user.id,
-          token: refreshToken
+      // Unknown emails and wrong passwords take the same path.
+      const user = await User.authenticate(email, req.body.password).catch(() => null)
+      if (!user) {
+        reserved = null
+        await LoginThrottle.registerFailure(throttleKeys)
+        audit(req, 'login', { outcome: 'failure', details: { email } })
+        throw new Error('Invalid credentials.')
+      }
+
+      // Users with two-factor authentication get a short-lived challenge token to exchange at /login/mfa.
+      if (user.mfa.enabled) {
+        const mfaToken = jwt.sign(
+          { sub: user.id },
+          process.env.REFRESH_TOKEN_SECRET,
+          {
+            algorithm: 'HS256',
+            issuer: issuer(),
+            audience: 'mfa',
+            expiresIn: process.env.MFA_TOKEN_LIFE || '5m'
+          }
+        )
+        // The failures of the account are forgotten once the second factor is accepted.
+        reserved = null
+        await LoginThrottle.release(throttleKeys)
+        audit(req, 'login', { actor: user.id, target: user.id, details: { mfaRequired: true } })
+        res.status(200).json({
+          mfa_required: true,
+          mfa_token: mfaToken
         })
-        await RefreshToken.findByIdAndUpdate({ _id: userRefreshTokenInDb._id.toString() }, { $push: { usedTokens: userRefreshTokenInDb.token.toString() } })
+        return
       }
 
-      res.status(200).json({
-        access_token: accessToken,
-        refresh_token: refreshToken
-      })
+      const tokens = await issueTokens(user, startSession(req, user, ['pwd']))
+      reserved = null
+      await LoginThrottle.registerSuccess(throttleKeys)
+      audit(req, 'login', { actor: user.id, target: user.id })
+
+      // Admins forced into two-factor authentication can only enroll until they have signed in with it.
+      if (user.isMfaRequired()) {
+        tokens.mfa_enrollment_required = true
+      }
+
+      sendTokens(req, res, tokens, req.body.tokenDelivery === 'cookie')
     } catch (err) {
+      await releaseUnsettled(reserved)
+
       // Authentication failed.
       const error = createError(401)
       error.cause = err
@@ -93,92 +173,216 @@ export class AccountController {
   }
 
   /**
-   * Refresh an access token.
+   * Completes a two-factor login with the challenge token and a TOTP or recovery code.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
    * @param {Function} next - Express next middleware function.
    */
-  async refreshToken (req, res, next) {
-    if (!req.body.refreshToken) {
-      const error = createError(400)
+  async loginMfa (req, res, next) {
+    let reserved = null
+    try {
+      const { sub } = jwt.verify(req.body.mfaToken, process.env.REFRESH_TOKEN_SECRET, {
+        algorithms: ['HS256'],
+        audience: 'mfa'
+      })
+
+      const user = await User.findById(sub)
+      const throttleKeys = [`email:${user?.email}`, `ip:${req.ip}`]
+
+      if (await rejectThrottled(throttleKeys, res, next)) {
+        return
+      }
+      reserved = throttleKeys
+
+      if (user?.status !== 'active' || !(await user.verifyMfaCode(req.body.code.toString()))) {
+        reserved = null
+        await LoginThrottle.registerFailure(throttleKeys)
+        audit(req, 'login.mfa', { outcome: 'failure', actor: user?.id, target: user?.id })
+        throw new Error('Invalid MFA code.')
+      }
+
+      const tokens = await issueTokens(user, startSession(req, user, ['pwd', 'otp']))
+      reserved = null
+      await LoginThrottle.registerSuccess(throttleKeys)
+      audit(req, 'login.mfa', { actor: user.id, target: user.id })
+
+      sendTokens(req, res, tokens, req.body.tokenDelivery === 'cookie')
+    } catch (err) {
+      await releaseUnsettled(reserved)
+
+      // Authentication failed.
+      const error = createError(401)
+      error.cause = err
       next(error)
-      return
     }
+  }
+
+  /**
+   * Sends the options for navigator.credentials.get() to sign in with a passkey.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async passkeyLoginOptions (req, res, next) {
     try {
-      const requestToken = req.body?.refreshToken
-      const refreshToken = await RefreshToken.findOne({ token: requestToken })
-
-      // Check if refresh token has been used previously
-      const tokenUser = jwt.decode(requestToken).sub
-      const userRefreshToken = await RefreshToken.findOne({ user: tokenUser })
-
-      // Clear all used refresh tokens and current token if misuse
-      if (userRefreshToken?.usedTokens) {
-        userRefreshToken.usedTokens.map(token => {
-          if (token === requestToken) {
-            userRefreshToken.delete()
-          }
-          return undefined
-        })
-      }
+      // No credentials are listed, the browser offers the discoverable passkeys of the site.
+      const options = await generateAuthenticationOptions({
+        rpID: relyingParty().id,
+        userVerification: 'required'
+      })
+      await storeChallenge(options, 'authentication')
 
-      if (!refreshToken) {
-        const error = createError(401)
-        error.message = 'Invalid token'
-        next(error)
+      res.json(options)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Authenticates a user with the response of navigator.credentials.get().
+   *
+   * The passkey replaces both the password and the second factor, and the
+   * response is the same as from /login.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async loginPasskey (req, res, next) {
+    let reserved = null
+    try {
+      const { response } = req.body
+      const throttleKeys = [`ip:${req.ip}`]
+
+      if (await rejectThrottled(throttleKeys, res, next)) {
         return
-      } else {
-        jwt.verify(requestToken, process.env.REFRESH_TOKEN_SECRET)
-        const tokenDecoded = jwt.decode(requestToken)
-        const payload = {
-          sub: tokenDecoded.sub,
-          company: tokenDecoded.company,
-          admin: tokenDecoded.admin
-        }
+      }
+      reserved = throttleKeys
 
-        // Create the access token with the shorter lifespan.
-        const newAccessToken = jwt.sign(
-          payload,
-          Buffer.from(process.env.ACCESS_TOKEN_SECRET, 'base64').toString(
-            'ascii'
-          ),
-          {
-            algorithm: 'RS256',
-            expiresIn: process.env.ACCESS_TOKEN_LIFE
-          }
-        )
+      const expectedChallenge = await consumeChallenge(response, 'authentication')
+      const passkey = await Passkey.findOne({ credentialId: String(response.id) })
+      const user = passkey && await User.findById(passkey.user)
 
-        const newRefreshToken = jwt.sign(
-          payload,
-          process.env.REFRESH_TOKEN_SECRET,
-          {
-            algorithm: 'HS256',
-            expiresIn: process.env.REFRESH_TOKEN_LIFE
-          }
-        )
-        // Set new refresh token and add used token to used tokens for future validation
-        await RefreshToken.findOneAndUpdate({ token: newRefreshToken })
-        await RefreshToken.findByIdAndUpdate({ _id: refreshToken._id.toString() }, { $push: { usedTokens: requestToken.toString() } })
+      const { origin, id } = relyingParty()
+      const verification = expectedChallenge && user?.status === 'active' && await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: id,
+        credential: passkey.toCredential()
+      }).catch(() => null)
 
-        res.status(200).json({
-          access_token: newAccessToken,
-          refresh_token: newRefreshToken
-        })
+      if (!verification?.verified) {
+        reserved = null
+        await LoginThrottle.registerFailure(throttleKeys)
+        audit(req, 'login.passkey', { outcome: 'failure', actor: user?.id, target: user?.id })
+        throw new Error('Invalid passkey.')
+      }
+
+      passkey.counter = verification.authenticationInfo.newCounter
+      passkey.backedUp = verification.authenticationInfo.credentialBackedUp
+      passkey.lastUsedAt = Date.now()
+      await passkey.save()
+
+      const tokens = await issueTokens(user, startSession(req, user, ['hwk']))
+      reserved = null
+      await LoginThrottle.registerSuccess(throttleKeys)
+      audit(req, 'login.passkey', { actor: user.id, target: user.id, details: { passkey: passkey.id } })
+
+      sendTokens(req, res, tokens, req.body.tokenDelivery === 'cookie')
+    } catch (err) {
+      await releaseUnsettled(reserved)
+
+      // Authentication failed.
+      const error = createError(401)
+      error.cause = err
+      next(error)
+    }
+  }
+
+  /**
+   * Authenticates a user with the one-time code of a single sign-on.
+   *
+   * The response is the same as from /login.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async loginSso (req, res, next) {
+    try {
+      const attempt = await SsoLogin.redeem(req.body.code)
+      const user = attempt && await User.findById(attempt.user)
+      if (user?.status !== 'active') {
+        throw new Error('Invalid single sign-on code.')
       }
+
+      const tokens = await issueTokens(user, startSession(req, user, ['sso']))
+      audit(req, 'login.sso', { actor: user.id, target: user.id, details: { identityProvider: attempt.identityProvider } })
+
+      sendTokens(req, res, tokens, req.body.tokenDelivery === 'cookie')
     } catch (err) {
-      if (err.name === 'TokenExpiredError') {
+      // Authentication failed.
+      const error = createError(401)
+      error.cause = err
+      next(error)
+    }
+  }
+
+  /**
+   * Refresh an access token.
+   *
+   * The refresh token is rotated. If a token that has already been used is
+   * presented again, the whole token family is revoked. Without a token in
+   * the body, the refresh token cookie is used and rotated.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async refreshToken (req, res, next) {
+    try {
+      const useCookie = req.body.refreshToken === undefined
+      const redeemed = await redeemRefreshToken(useCookie ? readRefreshCookie(req) : req.body.refreshToken)
+      if (!redeemed) {
+        if (useCookie) {
+          clearRefreshCookie(req, res)
+        }
+
         const error = createError(401)
         error.message = 'Invalid refresh token'
         next(error)
-      } else {
-        next(err)
+        return
+      }
+
+      const { refreshToken, family, user, reused } = redeemed
+      if (reused) {
+        audit(req, 'token.reuse', { outcome: 'failure', target: user.id, details: { family: family.id } })
+        await publish('session.token_reuse_detected', { user: userPayload(user), family: family.id, ip: req.ip })
+
+        const error = createError(401, 'Refresh token reuse detected', {
+          details: { revokedFamily: family.id }
+        })
+        next(error)
+        return
       }
+
+      family.ip = req.ip
+      family.lastUsedAt = Date.now()
+
+      const tokens = await issueTokens(user, family, refreshToken)
+      audit(req, 'refresh', { actor: user.id, target: user.id, details: { family: family.id } })
+
+      sendTokens(req, res, tokens, useCookie)
+    } catch (err) {
+      next(err)
     }
   }
 
   /**
-   * Logs user out by revoking refresh token.
+   * Logs user out by revoking the token family of the refresh token, from the body or the cookie.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object..
@@ -186,20 +390,57 @@ export class AccountController {
    */
   async logout (req, res, next) {
     try {
-      if (!req.body.refreshToken) {
-        const error = createError(400)
+      const useCookie = req.body.refreshToken === undefined
+      const refreshToken = await RefreshToken.findByToken(useCookie ? readRefreshCookie(req) : req.body.refreshToken)
+      if (useCookie) {
+        clearRefreshCookie(req, res)
+      }
+
+      if (refreshToken) {
+        await TokenFamily.revoke(refreshToken.family, 'logout')
+        audit(req, 'logout', { actor: refreshToken.user, target: refreshToken.user, details: { family: refreshToken.family } })
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      // A missing cookie or CSRF token keeps its status.
+      if (!error.status) {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Ends an impersonation by revoking the access token acting as the user.
+   *
+   * Impersonations that are not ended this way end when the token expires,
+   * at the expiresAt recorded by the admin.impersonate event.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async endImpersonation (req, res, next) {
+    try {
+      if (!req.user.act) {
+        const error = createError(400, 'The access token is not an impersonation token.')
         next(error)
         return
       }
-      await RefreshToken.findOneAndDelete({ token: req.body.refreshToken })
+
+      await RevokedToken.revoke(req.user.jti, req.user.exp)
+      audit(req, 'impersonation.end', { actor: req.user.act.sub, target: req.user.sub, details: { jti: req.user.jti } })
 
       res
         .status(204)
         .end()
     } catch (err) {
-      const error = createError(400)
-      error.cause = err
-      next(error)
+      next(err)
     }
   }
 
@@ -247,11 +488,18 @@ export class AccountController {
    * @param {Function} next - Express next middleware function.
    */
   async find (req, res, next) {
-    res.json(req.customer)
+    try {
+      res.json(await req.customer.populate('company'))
+    } catch (err) {
+      next(err)
+    }
   }
 
   /**
-   * Updates a specific user partially.
+   * Starts a change of email address.
+   *
+   * The current password is required. The new address becomes pending until
+   * it is confirmed, and a notice is sent to the current address.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -259,19 +507,26 @@ export class AccountController {
    */
   async updateCredentials (req, res, next) {
     try {
-      if (!req.body.email) {
-        const error = createError(400)
+      const user = await User.authenticate(req.customer.email, req.body.password)
+      const newEmail = req.body.email.toString().toLowerCase().trim()
+
+      if (await User.exists({ email: newEmail })) {
+        const error = createError(409)
         next(error)
+        return
       }
-      // Sanitize before saving to db
-      const newEmail = validator.escape(req.body.email)
-      await User.findByIdAndUpdate(req.user.sub, { email: newEmail })
+
+      user.pendingEmail = newEmail
+      await user.save()
+      await sendEmailChangeLinks(user, newEmail)
+      audit(req, 'email.change', { actor: user.id, target: user.id, details: { from: user.email, to: newEmail } })
+
       res
-        .status(204)
-        .end()
+        .status(202)
+        .json({ message: 'A confirmation link has been sent to the new email address.' })
     } catch (err) {
-      console.log(err)
       const error = createError(400)
+      error.cause = err
       next(error)
     }
   }
@@ -285,29 +540,30 @@ export class AccountController {
    */
   async updatePassword (req, res, next) {
     try {
-      if (!req.body.email || !req.body.password || !req.body.newPassword || !req.body.newPasswordConfirm) {
-        const error = createError(400)
-        next(error)
-      } else if (req.body.newPassword !== req.body.newPasswordConfirm) {
-        const error = createError(400)
-        next(error)
+      // Authenticate the user of the route, not whoever the body names.
+      const user = await User.authenticate(req.customer.email, req.body.password).catch(() => null)
+      if (!user) {
+        audit(req, 'password.change', { outcome: 'failure', actor: req.customer.id, target: req.customer.id })
+        throw new Error('Invalid credentials.')
       }
 
-      const user = await User.authenticate(
-        req.body.email.toLowerCase(),
-        req.body.password
-      )
+      const errors = await checkPassword(req.body.newPassword.toString(), user)
+      if (errors.length) {
+        next(createPasswordPolicyError(errors, 'newPassword'))
+        return
+      }
 
-      user.password = req.body.newPassword
-      user.save()
+      user.setPassword(req.body.newPassword.toString())
+      await user.save()
+      audit(req, 'password.change', { actor: user.id, target: user.id })
+      await publish('user.password_changed', { user: userPayload(user), source: 'user' })
 
       res
         .status(204)
         .end()
     } catch (err) {
-      console.log(err)
-      let error = err
-      error = createError(400)
+      const error = createError(400)
+      error.cause = err
       next(error)
     }
   }
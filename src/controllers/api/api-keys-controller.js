@@ -0,0 +1,205 @@
+/**
+ * Module for the ApiKeysController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import ms from 'ms'
+import { ApiKey } from '../../models/api-key.js'
+import { User } from '../../models/user.js'
+import { canGrantScopes } from '../../config/roles.js'
+import { audit } from '../../utils/audit.js'
+
+/**
+ * Returns the scopes in a request body if the user may give them to a key.
+ *
+ * @param {object} user - The user owning the key.
+ * @param {*} scopes - The scopes from the request body.
+ * @returns {string[]} The scopes, or null if they are invalid.
+ */
+const parseScopes = (user, scopes) => {
+  if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+    return null
+  }
+
+  const unique = [...new Set(scopes)]
+  return canGrantScopes(user.permissions, unique) ? unique : null
+}
+
+/**
+ * Encapsulates a controller.
+ */
+export class ApiKeysController {
+  /**
+   * Provide req.apiKey to the route if :apiKeyId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the key to load.
+   */
+  async loadApiKey (req, res, next, id) {
+    try {
+      const apiKey = await ApiKey.findById(id)
+
+      // If no key found send 404.
+      if (!apiKey) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.apiKey = apiKey
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Authorizes access to the loaded key.
+   *
+   * Keys belonging to another user are reported as not found.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  authorizeApiKey (req, res, next) {
+    if (req.apiKey.user.toString() !== req.user.sub) {
+      next(createError(404))
+      return
+    }
+
+    next()
+  }
+
+  /**
+   * Sends a JSON response containing the API keys of the user, expired ones included.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      res.json(await ApiKey.find({ user: req.user.sub }).sort({ createdAt: -1 }))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Creates an API key. The key is only shown in this response.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async create (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      const scopes = parseScopes(user, req.body.scopes ?? ['account:read'])
+
+      // Keys expire after API_KEY_LIFE unless an earlier expiry is chosen.
+      const maxExpiresAt = Date.now() + ms(process.env.API_KEY_LIFE || '365d')
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : new Date(maxExpiresAt)
+
+      if (!scopes || isNaN(expiresAt) || expiresAt <= Date.now() || expiresAt > maxExpiresAt) {
+        const error = createError(400)
+        next(error)
+        return
+      }
+
+      const apiKey = new ApiKey({
+        user: user.id,
+        name: req.body.name,
+        scopes,
+        expiresAt
+      })
+      const key = apiKey.generateKey()
+      await apiKey.save()
+      audit(req, 'api_key.created', { actor: user.id, target: user.id, details: { apiKey: apiKey.id, scopes } })
+
+      res
+        .status(201)
+        .json({ ...apiKey.toJSON(), key })
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Renames an API key or changes its scopes.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async update (req, res, next) {
+    try {
+      if (req.body.name !== undefined) {
+        req.apiKey.name = req.body.name
+      }
+
+      if (req.body.scopes !== undefined) {
+        const scopes = parseScopes(await User.findById(req.user.sub), req.body.scopes)
+        if (!scopes) {
+          const error = createError(400)
+          next(error)
+          return
+        }
+        req.apiKey.scopes = scopes
+      }
+
+      await req.apiKey.save()
+      audit(req, 'api_key.updated', { actor: req.user.sub, target: req.user.sub, details: { apiKey: req.apiKey.id, scopes: req.apiKey.scopes } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Deletes an API key.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async remove (req, res, next) {
+    try {
+      await req.apiKey.deleteOne()
+      audit(req, 'api_key.deleted', { actor: req.user.sub, target: req.user.sub, details: { apiKey: req.apiKey.id } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
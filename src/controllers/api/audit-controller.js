@@ -0,0 +1,117 @@
+/**
+ * Module for the AuditController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { once } from 'events'
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import { AuditEvent } from '../../models/audit-event.js'
+
+/**
+ * Creates a query filter from the query string.
+ *
+ * Supports user (actor or target), type (comma separated), from and to.
+ *
+ * @param {object} query - The parsed query string.
+ * @returns {object} The filter.
+ */
+const createFilter = (query) => {
+  const filter = {}
+
+  if (query.user) {
+    if (!mongoose.isValidObjectId(query.user)) {
+      throw createError(400, 'Invalid user.')
+    }
+    filter.$or = [{ actor: query.user }, { target: query.user }]
+  }
+
+  if (query.type) {
+    filter.type = { $in: query.type.toString().split(',') }
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param]) {
+      const date = new Date(query[param])
+      if (isNaN(date)) {
+        throw createError(400, `Invalid ${param} date.`)
+      }
+      filter.createdAt = { ...filter.createdAt, [operator]: date }
+    }
+  }
+
+  return filter
+}
+
+/**
+ * Encapsulates a controller.
+ */
+export class AuditController {
+  /**
+   * Sends a page of audit events, newest first.
+   *
+   * Pass the returned next_cursor as cursor to get the following page.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const filter = createFilter(req.query)
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+
+      if (req.query.cursor) {
+        if (!mongoose.isValidObjectId(req.query.cursor)) {
+          throw createError(400, 'Invalid cursor.')
+        }
+        filter._id = { $lt: req.query.cursor }
+      }
+
+      // Fetch one extra event to know if there is a next page.
+      const events = await AuditEvent.find(filter).sort({ _id: -1 }).limit(limit + 1)
+      const hasNext = events.length > limit
+
+      res.json({
+        events: events.slice(0, limit),
+        next_cursor: hasNext ? events[limit - 1].id : null
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Streams every matching audit event as newline delimited JSON.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async export (req, res, next) {
+    try {
+      const filter = createFilter(req.query)
+
+      res
+        .status(200)
+        .type('application/x-ndjson')
+        .attachment('audit.ndjson')
+
+      for await (const event of AuditEvent.find(filter).sort({ _id: -1 }).cursor()) {
+        if (!res.write(`${JSON.stringify(event)}\n`)) {
+          await once(res, 'drain')
+        }
+      }
+      res.end()
+    } catch (err) {
+      // Headers are already sent if streaming has started.
+      if (res.headersSent) {
+        res.destroy(err)
+      } else {
+        next(err)
+      }
+    }
+  }
+}
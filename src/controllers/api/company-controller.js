@@ -0,0 +1,237 @@
+/**
+ * Module for the CompanyController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { User } from '../../models/user.js'
+import { Company } from '../../models/company.js'
+import { invite } from '../../utils/invitations.js'
+import { audit } from '../../utils/audit.js'
+import { publish, userPayload } from '../../utils/webhooks.js'
+import { deleteUser } from '../../utils/users.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class CompanyController {
+  /**
+   * Provide req.member to the route if :memberId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the user to load.
+   */
+  async loadMember (req, res, next, id) {
+    try {
+      const member = await User.findById(id)
+
+      // If no user found send 404.
+      if (!member) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.member = member
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Authorizes access to the loaded member.
+   *
+   * Users of other companies are reported as not found, and staff
+   * belonging to the company can only be managed by admins of the service.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  authorizeMember (req, res, next) {
+    if (req.member.company.toString() !== req.user.org) {
+      next(createError(404))
+      return
+    }
+
+    if (req.member.role !== 'customer') {
+      next(createError(403, 'Only customers can be managed by the company.'))
+      return
+    }
+
+    next()
+  }
+
+  /**
+   * Sends a JSON response containing the company of the logged in user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async find (req, res, next) {
+    try {
+      const company = await Company.findById(req.user.org)
+      if (!company) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      res.json(company)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the users of the company.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findMembers (req, res, next) {
+    try {
+      res.json(await User.find({ company: req.user.org }).sort({ email: 1 }))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Invites a colleague, who chooses a password from the emailed link.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async invite (req, res, next) {
+    try {
+      const member = new User({
+        email: req.body.email,
+        status: 'invited',
+        company: req.user.org,
+        companyRole: req.body.companyRole ?? 'member'
+      })
+      await member.save()
+
+      await invite(member, req.user.sub)
+      audit(req, 'company.invite', { actor: req.user.sub, target: member.id, details: { company: req.user.org } })
+
+      res.status(201).json({ id: member.id })
+    } catch (err) {
+      let error = err
+
+      if (error.code === 11000) {
+        // Duplicated keys.
+        error = createError(409)
+        error.cause = err
+      } else if (error.name === 'ValidationError') {
+        // Validation error(s).
+        error = createError(400)
+        error.cause = err
+      }
+
+      next(error)
+    }
+  }
+
+  /**
+   * Changes the company role of a colleague.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async updateMember (req, res, next) {
+    try {
+      if (!(await this.changeUnlessLastAdmin(req.member, { companyRole: req.body.companyRole }))) {
+        const error = createError(403, 'A company must have at least one admin.')
+        next(error)
+        return
+      }
+
+      req.member.companyRole = req.body.companyRole
+      audit(req, 'company.update_member', { actor: req.user.sub, target: req.member.id, details: { companyRole: req.member.companyRole } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Removes a colleague, deleting the account together with its sessions, API keys, passkeys, invitations and reset links.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async removeMember (req, res, next) {
+    try {
+      if (req.member.id === req.user.sub) {
+        const error = createError(403, 'You cannot remove yourself.')
+        next(error)
+        return
+      }
+
+      // Deactivated first, so the member cannot sign in while the records are deleted.
+      if (!(await this.changeUnlessLastAdmin(req.member, { status: 'deactivated' }))) {
+        const error = createError(403, 'A company must have at least one admin.')
+        next(error)
+        return
+      }
+
+      await deleteUser(req.member)
+      audit(req, 'company.remove_member', { actor: req.user.sub, target: req.member.id, details: { email: req.member.email } })
+      await publish('user.deleted', { user: userPayload(req.member) })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Changes the company role or status of a member, unless the company would be left without an admin.
+   *
+   * The change is written before the admins of the company are counted, and
+   * undone if there are none, so two admins demoting or removing each other
+   * at the same time cannot both succeed. Only active admins count.
+   *
+   * @param {object} user - The member.
+   * @param {object} change - The new company role or status.
+   * @returns {Promise<boolean>} False if the change was undone.
+   */
+  async changeUnlessLastAdmin (user, change) {
+    const previous = await User.findOneAndUpdate({ _id: user._id }, change)
+    if (!previous || previous.companyRole !== 'admin' || previous.status !== 'active') {
+      return true
+    }
+
+    if (await User.exists({ company: previous.company, companyRole: 'admin', status: 'active' })) {
+      return true
+    }
+
+    await User.updateOne({ _id: user._id }, { companyRole: previous.companyRole, status: previous.status })
+    return false
+  }
+}
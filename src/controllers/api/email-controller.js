@@ -0,0 +1,169 @@
+/**
+ * Module for the EmailController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { User } from '../../models/user.js'
+import { TokenFamily } from '../../models/token-family.js'
+import { sendVerificationLink, verifyLinkToken } from '../../utils/email-links.js'
+import { audit } from '../../utils/audit.js'
+import { publish, userPayload } from '../../utils/webhooks.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class EmailController {
+  /**
+   * Marks the email address of a user as verified.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async verify (req, res, next) {
+    try {
+      const { sub, email } = verifyLinkToken(req.body.token?.toString(), 'verify-email')
+
+      // The link is only valid for the address it was sent to.
+      const { matchedCount } = await User.updateOne({ _id: sub, email }, { emailVerified: true })
+      if (!matchedCount) {
+        throw new Error('Email address has changed.')
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      const error = createError(400, 'Invalid or expired verification link.')
+      error.cause = err
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a new verification link to the logged in user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async resendVerification (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      if (user.emailVerified) {
+        const error = createError(409, 'The email address is already verified.')
+        next(error)
+        return
+      }
+
+      await sendVerificationLink(user)
+
+      res
+        .status(202)
+        .json({ message: 'A verification link has been sent.' })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Confirms a pending email change from the link sent to the new address.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async confirmChange (req, res, next) {
+    try {
+      let payload
+      try {
+        payload = verifyLinkToken(req.body.token?.toString(), 'change-email')
+      } catch (err) {
+        const error = createError(400, 'Invalid or expired confirmation link.')
+        error.cause = err
+        next(error)
+        return
+      }
+
+      // The link is only valid while the change is still pending.
+      const user = await User.findOneAndUpdate(
+        { _id: payload.sub, pendingEmail: payload.email },
+        { email: payload.email, emailVerified: true, $unset: { pendingEmail: 1 } }
+      )
+      if (!user) {
+        const error = createError(400, 'Invalid or expired confirmation link.')
+        next(error)
+        return
+      }
+      audit(req, 'email.change_confirmed', { actor: user.id, target: user.id, details: { from: user.email, to: payload.email } })
+      await publish('user.email_changed', { user: { ...userPayload(user), email: payload.email }, previousEmail: user.email, source: 'user' })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.code === 11000) {
+        // The new address was registered by someone else in the meantime.
+        error = createError(409)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Cancels a pending email change, or reverts a completed one, from the
+   * link sent to the previous address. Every session of the user is signed out.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async cancelChange (req, res, next) {
+    try {
+      let payload
+      try {
+        payload = verifyLinkToken(req.body.token?.toString(), 'cancel-email-change')
+      } catch (err) {
+        const error = createError(400, 'Invalid or expired link.')
+        error.cause = err
+        next(error)
+        return
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: payload.sub, $or: [{ pendingEmail: payload.newEmail }, { email: payload.newEmail }] },
+        { email: payload.email, emailVerified: true, $unset: { pendingEmail: 1 } }
+      )
+      if (!user) {
+        const error = createError(400, 'Invalid or expired link.')
+        next(error)
+        return
+      }
+
+      await TokenFamily.revokeAll(user.id, 'email-change')
+      audit(req, 'email.change_cancelled', { actor: user.id, target: user.id, details: { from: payload.newEmail, to: payload.email } })
+
+      // A completed change is reverted.
+      if (user.email !== payload.email) {
+        await publish('user.email_changed', { user: { ...userPayload(user), email: payload.email }, previousEmail: user.email, source: 'user' })
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.code === 11000) {
+        // The previous address was registered by someone else in the meantime.
+        error = createError(409)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+}
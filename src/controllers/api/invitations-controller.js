@@ -0,0 +1,166 @@
+/**
+ * Module for the InvitationsController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { User } from '../../models/user.js'
+import { Invitation } from '../../models/invitation.js'
+import * as invitations from '../../utils/invitations.js'
+import { audit } from '../../utils/audit.js'
+import { checkPassword, createPasswordPolicyError } from '../../utils/password-policy.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class InvitationsController {
+  /**
+   * Provide req.invitation to the route if :invitationId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the invitation to load.
+   */
+  async loadInvitation (req, res, next, id) {
+    try {
+      const invitation = await Invitation.findById(id).populate('user')
+
+      // Accepted and revoked invitations are no longer managed.
+      if (!invitation || invitation.acceptedAt || invitation.revokedAt || !invitation.user) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.invitation = invitation
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the pending invitations, expired ones included.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const pending = await Invitation
+        .find({ acceptedAt: null, revokedAt: null })
+        .sort({ lastSentAt: -1 })
+        .populate({ path: 'user', populate: 'company' })
+
+      res.json(pending)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends a pending invitation again with a new link.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async resend (req, res, next) {
+    try {
+      const invitation = await invitations.resend(req.invitation)
+      audit(req, 'invitation.resent', { actor: req.admin.sub, target: invitation.user.id })
+
+      res.json(invitation)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Revokes a pending invitation and deletes the invited user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revoke (req, res, next) {
+    try {
+      req.invitation.revokedAt = Date.now()
+      await req.invitation.save()
+
+      await User.deleteOne({ _id: req.invitation.user.id, status: 'invited' })
+      audit(req, 'invitation.revoked', { actor: req.admin.sub, target: req.invitation.user.id, details: { email: req.invitation.user.email } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Accepts an invitation, setting the password chosen by the invited user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async accept (req, res, next) {
+    try {
+      const invitation = await Invitation.findValid(req.params.token)
+      const user = invitation && await User.findOne({ _id: invitation.user, status: 'invited' })
+      if (!user) {
+        const error = createError(404, 'Invalid or expired invitation.')
+        next(error)
+        return
+      }
+
+      const errors = await checkPassword(req.body.password.toString(), user)
+      if (errors.length) {
+        next(createPasswordPolicyError(errors, 'password'))
+        return
+      }
+
+      // The invitation link was sent to the address, so it is verified.
+      user.setPassword(req.body.password.toString())
+      user.status = 'active'
+      user.emailVerified = true
+
+      // Validate before the invitation is used up.
+      await user.validate()
+
+      if (!(await Invitation.accept(invitation.id))) {
+        const error = createError(404, 'Invalid or expired invitation.')
+        next(error)
+        return
+      }
+
+      await user.save()
+      audit(req, 'invitation.accepted', { actor: user.id, target: user.id })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+}
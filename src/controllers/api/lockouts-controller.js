@@ -0,0 +1,103 @@
+/**
+ * Module for the LockoutsController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { LoginThrottle } from '../../models/login-throttle.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class LockoutsController {
+  /**
+   * Sends a JSON response containing every account and IP address currently blocked from logging in.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const lockouts = await LoginThrottle
+        .find({ blockedUntil: { $gt: Date.now() } })
+        .sort({ blockedUntil: -1 })
+
+      res.json(lockouts)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Clears a lockout by id.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async clear (req, res, next) {
+    try {
+      const { deletedCount } = await LoginThrottle.deleteOne({ _id: req.params.lockoutId })
+      if (!deletedCount) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the failed login attempts of a user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findForUser (req, res, next) {
+    try {
+      const throttle = await LoginThrottle.findOne({ key: `email:${req.user.email}` })
+      const blocked = throttle?.blockedUntil > Date.now()
+
+      res.json({
+        failures: throttle?.failures ?? 0,
+        locked: blocked && throttle.locked,
+        blockedUntil: blocked ? throttle.blockedUntil : null
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Clears the failed login attempts and lockout of a user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async clearForUser (req, res, next) {
+    try {
+      await LoginThrottle.clear(`email:${req.user.email}`)
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Module for the MfaController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import { User } from '../../models/user.js'
+import * as totp from '../../utils/totp.js'
+import { audit } from '../../utils/audit.js'
+
+/**
+ * Generates a set of one-time recovery codes.
+ *
+ * @returns {string[]} The recovery codes, formatted as xxxxx-xxxxx.
+ */
+const generateRecoveryCodes = () => Array.from({ length: 10 }, () => {
+  const code = crypto.randomBytes(5).toString('hex')
+  return `${code.slice(0, 5)}-${code.slice(5)}`
+})
+
+/**
+ * Encapsulates a controller.
+ */
+export class MfaController {
+  /**
+   * Starts TOTP enrollment by creating a secret waiting to be confirmed.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async enroll (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      if (user.mfa.enabled) {
+        const error = createError(409, 'Two-factor authentication is already enabled.')
+        next(error)
+        return
+      }
+
+      const secret = totp.generateSecret()
+      await User.updateOne({ _id: user.id }, { 'mfa.pendingSecret': secret })
+
+      res.status(200).json({
+        secret,
+        otpauth_uri: totp.otpauthUri(secret, user.email)
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Confirms TOTP enrollment with a first code and returns the recovery codes.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async confirm (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      const step = totp.verify(user.mfa.pendingSecret, req.body.code?.toString())
+
+      if (user.mfa.enabled || step === null) {
+        const error = createError(400)
+        next(error)
+        return
+      }
+
+      const recoveryCodes = generateRecoveryCodes()
+      user.mfa = {
+        enabled: true,
+        secret: user.mfa.pendingSecret,
+        recoveryCodes: recoveryCodes.map(code => User.hashRecoveryCode(code)),
+        lastUsedStep: step
+      }
+      await user.save()
+      audit(req, 'mfa.enabled', { actor: user.id, target: user.id })
+
+      // The recovery codes are only shown once.
+      res.status(200).json({ recovery_codes: recoveryCodes })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Replaces the recovery codes, requires a valid code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async regenerateRecoveryCodes (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      if (!(await user.verifyMfaCode(req.body.code?.toString()))) {
+        const error = createError(400)
+        next(error)
+        return
+      }
+
+      const recoveryCodes = generateRecoveryCodes()
+      await User.updateOne(
+        { _id: user.id },
+        { 'mfa.recoveryCodes': recoveryCodes.map(code => User.hashRecoveryCode(code)) }
+      )
+
+      res.status(200).json({ recovery_codes: recoveryCodes })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Disables two-factor authentication, requires the password and a valid code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async disable (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      if (user.isMfaRequired()) {
+        const error = createError(403, 'Two-factor authentication is required for staff accounts.')
+        next(error)
+        return
+      }
+
+      await User.authenticate(user.email, req.body.password)
+      if (!(await user.verifyMfaCode(req.body.code?.toString()))) {
+        throw new Error('Invalid MFA code.')
+      }
+
+      await User.updateOne({ _id: user.id }, { mfa: { enabled: false } })
+      audit(req, 'mfa.disabled', { actor: user.id, target: user.id })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      const error = createError(400)
+      error.cause = err
+      next(error)
+    }
+  }
+}
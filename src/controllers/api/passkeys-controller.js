@@ -0,0 +1,197 @@
+/**
+ * Module for the PasskeysController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { generateRegistrationOptions, verifyRegistrationResponse } from '@simplewebauthn/server'
+import { Passkey } from '../../models/passkey.js'
+import { User } from '../../models/user.js'
+import { relyingParty } from '../../config/webauthn.js'
+import { storeChallenge, consumeChallenge } from '../../utils/passkeys.js'
+import { audit } from '../../utils/audit.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class PasskeysController {
+  /**
+   * Provide req.passkey to the route if :passkeyId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the passkey to load.
+   */
+  async loadPasskey (req, res, next, id) {
+    try {
+      const passkey = await Passkey.findById(id)
+
+      // If no passkey found send 404.
+      if (!passkey) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.passkey = passkey
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Authorizes access to the loaded passkey.
+   *
+   * Passkeys of another user are reported as not found.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  authorizePasskey (req, res, next) {
+    if (req.passkey.user.toString() !== req.user.sub) {
+      next(createError(404))
+      return
+    }
+
+    next()
+  }
+
+  /**
+   * Sends a JSON response containing the passkeys of the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      res.json(await Passkey.find({ user: req.user.sub }).sort({ createdAt: -1 }))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends the options for navigator.credentials.create() to register a passkey.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async registrationOptions (req, res, next) {
+    try {
+      const user = await User.findById(req.user.sub)
+      const passkeys = await Passkey.find({ user: user.id })
+      const { name, id } = relyingParty()
+
+      // Passkeys must be discoverable, so users can sign in without typing their email.
+      const options = await generateRegistrationOptions({
+        rpName: name,
+        rpID: id,
+        userName: user.email,
+        userID: Buffer.from(user.id, 'hex'),
+        excludeCredentials: passkeys.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports })),
+        authenticatorSelection: { residentKey: 'required', userVerification: 'required' }
+      })
+      await storeChallenge(options, 'registration', user.id)
+
+      res.json(options)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Registers a passkey from the response of navigator.credentials.create().
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async register (req, res, next) {
+    try {
+      const { response, nickname } = req.body
+      const expectedChallenge = await consumeChallenge(response, 'registration', req.user.sub)
+      if (!expectedChallenge) {
+        const error = createError(400, 'Invalid or expired challenge.')
+        next(error)
+        return
+      }
+
+      const { origin, id } = relyingParty()
+      const { verified, registrationInfo } = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: id
+      })
+      if (!verified) {
+        throw new Error('The registration response could not be verified.')
+      }
+
+      const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo
+      const passkey = await Passkey.create({
+        user: req.user.sub,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports,
+        nickname,
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp
+      })
+      audit(req, 'passkey.registered', { actor: req.user.sub, target: req.user.sub, details: { passkey: passkey.id } })
+
+      res
+        .status(201)
+        .json(passkey)
+    } catch (err) {
+      let error = err
+
+      if (error.code === 11000) {
+        // The credential is already registered.
+        error = createError(409, 'The passkey is already registered.')
+        error.cause = err
+      } else if (!error.status) {
+        // Invalid responses and validation errors.
+        error = createError(400)
+        error.cause = err
+      }
+
+      next(error)
+    }
+  }
+
+  /**
+   * Removes a passkey.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async remove (req, res, next) {
+    try {
+      await req.passkey.deleteOne()
+      audit(req, 'passkey.removed', { actor: req.user.sub, target: req.user.sub, details: { passkey: req.passkey.id } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Module for the PasswordController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import ms from 'ms'
+import { User } from '../../models/user.js'
+import { PasswordReset } from '../../models/password-reset.js'
+import { TokenFamily } from '../../models/token-family.js'
+import { mailer } from '../../utils/mailer.js'
+import { audit } from '../../utils/audit.js'
+import { publish, userPayload } from '../../utils/webhooks.js'
+import { checkPassword, createPasswordPolicyError } from '../../utils/password-policy.js'
+
+/**
+ * Creates a reset token for a user and emails the reset link.
+ *
+ * @param {object} user - The user who forgot the password.
+ */
+const sendResetLink = async (user) => {
+  const lifetime = ms(process.env.PASSWORD_RESET_TOKEN_LIFE || '30m')
+  const token = await PasswordReset.issue(user.id, lifetime)
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Use the link below to choose a new password. The link can be used once and expires in ${ms(lifetime, { long: true })}.\n\n` +
+      `${process.env.CLIENT_URL}/reset-password?token=${token}\n\n` +
+      'If you did not ask to reset your password, you can ignore this email.'
+  })
+}
+
+/**
+ * Encapsulates a controller.
+ */
+export class PasswordController {
+  /**
+   * Sends a password reset link if the email address is registered.
+   *
+   * The response is the same whether or not the address is registered.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async forgot (req, res, next) {
+    try {
+      // Invited users set their password by accepting the invitation, deactivated users cannot sign in.
+      const user = await User.findOne({ email: req.body.email.toString().toLowerCase(), status: 'active' })
+
+      // Sent in the background, so the response time does not tell if the user exists.
+      if (user) {
+        sendResetLink(user).catch(err => console.error(err))
+        audit(req, 'password.reset_requested', { target: user.id })
+      }
+
+      res
+        .status(202)
+        .json({ message: 'If the email address is registered, a link to reset the password has been sent.' })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sets a new password using a reset token, and signs out every session of the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async reset (req, res, next) {
+    try {
+      const reset = await PasswordReset.findValid(req.body.token.toString())
+      const user = reset && await User.findById(reset.user)
+      if (!user) {
+        const error = createError(400, 'Invalid or expired reset token.')
+        next(error)
+        return
+      }
+
+      // Validate before the token is used up.
+      const errors = await checkPassword(req.body.newPassword.toString(), user)
+      if (errors.length) {
+        next(createPasswordPolicyError(errors, 'newPassword'))
+        return
+      }
+
+      user.setPassword(req.body.newPassword.toString())
+      await user.validate()
+
+      if (!(await PasswordReset.consume(reset.id))) {
+        const error = createError(400, 'Invalid or expired reset token.')
+        next(error)
+        return
+      }
+
+      await user.save()
+      await TokenFamily.revokeAll(user.id, 'password-reset')
+      audit(req, 'password.reset', { actor: user.id, target: user.id })
+      await publish('user.password_changed', { user: userPayload(user), source: 'reset' })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+}
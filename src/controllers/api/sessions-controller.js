@@ -0,0 +1,191 @@
+/**
+ * Module for the SessionsController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { TokenFamily } from '../../models/token-family.js'
+import { audit } from '../../utils/audit.js'
+
+/**
+ * Returns the id of the user whose sessions are managed.
+ *
+ * On admin routes req.user is the loaded customer, on account routes it is
+ * the payload of the access token.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string} The id of the user.
+ */
+const ownerOf = (req) => req.admin ? req.user.id : req.user.sub
+
+/**
+ * Returns the id of the user making the request.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string} The id of the user.
+ */
+const actorOf = (req) => req.admin ? req.admin.sub : req.user.sub
+
+/**
+ * Encapsulates a controller.
+ */
+export class SessionsController {
+  /**
+   * Provide req.userSession to the route if :sessionId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the session to load.
+   */
+  async loadSession (req, res, next, id) {
+    try {
+      const session = await TokenFamily.findOne({
+        _id: id,
+        revokedAt: null,
+        expire_at: { $gt: Date.now() }
+      })
+
+      // If no active session found send 404.
+      if (!session) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.userSession = session
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Authorizes access to the loaded session.
+   *
+   * Sessions belonging to another user are reported as not found.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  authorizeSession (req, res, next) {
+    if (req.userSession.user.toString() !== ownerOf(req)) {
+      next(createError(404))
+      return
+    }
+
+    next()
+  }
+
+  /**
+   * Sends a JSON response containing the active sessions of a user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      const sessions = await TokenFamily.find({
+        user: ownerOf(req),
+        revokedAt: null,
+        expire_at: { $gt: Date.now() }
+      }).sort({ lastUsedAt: -1 })
+
+      res.json(sessions.map(session => ({
+        ...session.toJSON(),
+        current: !req.admin && session.id === req.user.sid
+      })))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Updates the label of a session.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async update (req, res, next) {
+    try {
+      if (typeof req.body.label !== 'string') {
+        const error = createError(400)
+        next(error)
+        return
+      }
+
+      req.userSession.label = req.body.label
+      await req.userSession.save()
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Signs out a session by revoking its token family.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revoke (req, res, next) {
+    try {
+      await TokenFamily.revoke(req.userSession.id, req.admin ? 'admin' : 'signout')
+      audit(req, 'session.revoke', { actor: actorOf(req), target: ownerOf(req), details: { family: req.userSession.id } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Signs out every session of a user.
+   *
+   * Users keep the session they make the request from, admins sign out all sessions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revokeAll (req, res, next) {
+    try {
+      if (req.admin) {
+        await TokenFamily.revokeAll(ownerOf(req), 'admin')
+      } else {
+        await TokenFamily.revokeAll(ownerOf(req), 'signout', req.user.sid)
+      }
+      audit(req, 'session.revoke_all', { actor: actorOf(req), target: ownerOf(req) })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
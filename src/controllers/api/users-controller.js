@@ -6,7 +6,72 @@
  */
 
 import createError from 'http-errors'
+import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
 import { User } from '../../models/user.js'
+import { Company } from '../../models/company.js'
+import { TokenFamily } from '../../models/token-family.js'
+import { ADMIN_ROLES, canAssignRole } from '../../config/roles.js'
+import { invite } from '../../utils/invitations.js'
+import { audit } from '../../utils/audit.js'
+import { publish, userPayload } from '../../utils/webhooks.js'
+import { checkPassword, createPasswordPolicyError } from '../../utils/password-policy.js'
+import { algorithmOf, needsRehash } from '../../utils/password-hash.js'
+import { createValidationError } from '../../utils/validation.js'
+import { issueImpersonationToken } from '../../utils/tokens.js'
+import { normalizeOrgNo } from '../../utils/org-no.js'
+import { deleteUser } from '../../utils/users.js'
+
+/**
+ * The fields users can be sorted by, and the fields sorted on.
+ */
+const SORT_FIELDS = {
+  company: 'companyNormalized',
+  orgNo: 'orgNo',
+  email: 'email',
+  createdAt: 'createdAt'
+}
+
+/**
+ * Escapes the characters with a special meaning in regular expressions.
+ *
+ * @param {string} value - The text to search for.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Creates the cursor pointing after the last user of a page.
+ *
+ * @param {string} sort - The sort order of the pages.
+ * @param {*} value - The sort field value of the last user.
+ * @param {object} id - The id of the last user.
+ * @returns {string} The opaque cursor.
+ */
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify([sort, value, id])).toString('base64url')
+
+/**
+ * Reads a cursor created by encodeCursor.
+ *
+ * @param {string} cursor - The cursor.
+ * @param {string} sort - The sort order of the request, which must be the one of the cursor.
+ * @returns {object} The sort field value and id of the last user of the previous page.
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (cursorSort !== sort) {
+      throw new Error('The cursor belongs to another sort order.')
+    }
+
+    return {
+      value: SORT_FIELDS[sort.replace(/^-/, '')] === 'createdAt' ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    }
+  } catch {
+    throw createValidationError([{ name: 'cursor', in: 'query', reason: 'is invalid' }])
+  }
+}
 
 /**
  * Encapsulates a controller.
@@ -49,6 +114,25 @@ export class UsersController {
     }
   }
 
+  /**
+   * Authorizes changes to the loaded user.
+   *
+   * A user can only be changed by admins who could have given the user its
+   * role, so staff cannot change accounts with more permissions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  authorizeUser (req, res, next) {
+    if (!canAssignRole(req.admin.permissions, req.user.role)) {
+      next(createError(403))
+      return
+    }
+
+    next()
+  }
+
   /**
    * Sends a JSON response containing a user.
    *
@@ -57,56 +141,127 @@ export class UsersController {
    * @param {Function} next - Express next middleware function.
    */
   async find (req, res, next) {
-    res.json(req.user)
+    try {
+      res.json(await req.user.populate('company'))
+    } catch (err) {
+      next(err)
+    }
   }
 
   /**
-   * Gets all users.
+   * Sends a page of users matching the search and filters.
+   *
+   * Pages are fetched with the opaque cursor of the previous page, which
+   * keeps the pages stable while users are added or removed.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
    * @param {Function} next - Express next middleware function.
    */
   async getAll (req, res, next) {
-    const query = {}
-    query.admin = false
-    // Pagination
-    const page = parseInt(req.query.page)
-    const limit = parseInt(req.query.limit)
-    const startIndex = (page - 1) * limit
-    const endIndex = page * limit
-    const results = {}
-
     try {
-      // Check length of all users
-      const allUsers = await User.find(query)
-
-      results.users = await User.find(query).limit(limit).skip(startIndex).sort({ company: 1 })
-      // Pagination
-      if (endIndex < allUsers.length) {
-        results.next = {
-          page: page + 1,
-          limit: limit
+      const { q, admin, active, createdFrom, createdTo, sort = 'company', limit = 20 } = req.query
+      const [field, direction] = sort.startsWith('-') ? [SORT_FIELDS[sort.slice(1)], -1] : [SORT_FIELDS[sort], 1]
+
+      const filter = {}
+      if (admin !== undefined) {
+        filter.role = admin ? { $ne: 'customer' } : 'customer'
+      }
+      if (active !== undefined) {
+        filter.status = active ? 'active' : { $ne: 'active' }
+      }
+      if (createdFrom || createdTo) {
+        filter.createdAt = {
+          ...(createdFrom && { $gte: new Date(createdFrom) }),
+          ...(createdTo && { $lte: new Date(createdTo) })
         }
       }
-      if (startIndex < 0) {
-        results.previous = {
-          page: page - 1,
-          limit: limit
+
+      // Search email, company name and organization number, the company fields through the matching companies.
+      if (q) {
+        const pattern = new RegExp(escapeRegExp(q.toLowerCase()))
+        const companies = await Company
+          .find({ $or: [{ nameNormalized: pattern }, { orgNo: new RegExp(escapeRegExp(normalizeOrgNo(q) ?? q)) }] })
+          .distinct('_id')
+        filter.$or = [{ email: pattern }, { company: { $in: companies } }]
+      }
+
+      const pipeline = [
+        { $match: filter },
+        { $lookup: { from: Company.collection.name, localField: 'company', foreignField: '_id', as: 'companies' } },
+        {
+          $addFields: {
+            companyNormalized: { $arrayElemAt: ['$companies.nameNormalized', 0] },
+            orgNo: { $arrayElemAt: ['$companies.orgNo', 0] }
+          }
         }
+      ]
+
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor, sort)
+        const operator = direction === 1 ? '$gt' : '$lt'
+        pipeline.push({
+          $match: {
+            $or: [
+              { [field]: { [operator]: cursor.value } },
+              { [field]: cursor.value, _id: { [operator]: cursor.id } }
+            ]
+          }
+        })
       }
 
-      results.pages = Math.ceil(allUsers.length / limit)
+      // One more than the page tells if there is a next page.
+      pipeline.push(
+        { $sort: { [field]: direction, _id: direction } },
+        { $limit: limit + 1 },
+        { $project: { _id: 1, [field]: 1 } }
+      )
 
-      res.json(results)
-    } catch (error) {
-      console.error(error)
-      next(error)
+      const [ids, total] = await Promise.all([User.aggregate(pipeline), User.countDocuments(filter)])
+      const page = ids.slice(0, limit)
+      const users = await User.find({ _id: { $in: page.map(({ _id }) => _id) } }).populate('company')
+      const last = page[page.length - 1]
+
+      res.json({
+        users: page.map(({ _id }) => users.find(user => user._id.equals(_id))),
+        total,
+        limit,
+        next: ids.length > limit ? encodeCursor(sort, last[field], last._id) : null
+      })
+    } catch (err) {
+      next(err)
     }
   }
 
   /**
-   * Registers a user.
+   * Sends a report of the password hashes, how many use each algorithm and
+   * how many are outdated and will be replaced at the next login.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async passwordHashReport (req, res, next) {
+    try {
+      const report = { total: 0, algorithms: {}, outdated: 0 }
+
+      for await (const { password } of User.find({ password: { $exists: true } }).select('password').lean()) {
+        const algorithm = algorithmOf(password)
+        report.total++
+        report.algorithms[algorithm] = (report.algorithms[algorithm] ?? 0) + 1
+        if (needsRehash(password)) {
+          report.outdated++
+        }
+      }
+
+      res.json(report)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Registers an invited user, who chooses a password from the emailed invitation.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -114,27 +269,37 @@ export class UsersController {
    */
   async register (req, res, next) {
     try {
-      // Check all required fields exist before making request to DB.
-      if (!req.body.company || !req.body.password || !req.body.email || !req.body.orgNo) {
-        const error = new Error('Validation error')
-        error.name = 'ValidationError'
-        throw error
+      // Staff roles can only be given by users who have at least the same permissions.
+      const role = req.body.role ?? 'customer'
+      if (!canAssignRole(req.admin.permissions, role)) {
+        const error = createError(403)
+        next(error)
+        return
       }
+
+      // Users of the same company share it, the first user becomes its company admin.
+      const { company, created } = await Company.findOrCreate({
+        name: req.body.company,
+        orgNo: req.body.orgNo
+      })
+
       // Make username credentials case insensitive
       const user = new User({
         email: req.body.email,
-        password: req.body.password,
-        company: req.body.company,
-        companyNormalized: req.body.company.toLowerCase(),
-        orgNo: req.body.orgNo,
-        admin: req.body.admin ? req.body.admin : false
+        status: 'invited',
+        company: company.id,
+        companyRole: req.body.companyRole ?? (created ? 'admin' : 'member'),
+        role
       })
 
       await user.save()
 
-      res.status(201).json({ id: user.id })
+      const invitation = await invite(user, req.admin.sub)
+      audit(req, 'admin.register', { actor: req.admin.sub, target: user.id, details: { role: user.role } })
+      await publish('user.registered', { user: userPayload(user), source: 'admin' })
+
+      res.status(201).json({ id: user.id, invitation: invitation.id })
     } catch (err) {
-      console.log(err)
       let error = err
 
       if (error.code === 11000) {
@@ -160,31 +325,304 @@ export class UsersController {
    */
   async resetPassword (req, res, next) {
     try {
-      if (!req.body.customer || !req.body.newPassword || !req.body.newPasswordConfirm) {
-        const error = createError(400)
-        next(error)
-      } else if (req.body.newPassword !== req.body.newPasswordConfirm) {
-        const error = createError(400)
-        next(error)
-      }
-
       const customer = await User.findById(req.body.customer)
       if (!customer) {
         const error = createError(404)
         next(error)
+        return
+      }
+
+      const errors = await checkPassword(req.body.newPassword.toString(), customer)
+      if (errors.length) {
+        next(createPasswordPolicyError(errors, 'newPassword'))
+        return
+      }
+
+      customer.setPassword(req.body.newPassword.toString())
+      await customer.save()
+      audit(req, 'admin.password_reset', { actor: req.admin.sub, target: customer.id })
+      await publish('user.password_changed', { user: userPayload(customer), source: 'admin' })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      let error = err
+
+      if (error.name === 'ValidationError') {
+        // Validation error(s).
+        error = createError(400)
+        error.cause = err
+      }
+
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the email, company or roles of a user.
+   *
+   * The company name and organization number are changed for every user
+   * of the company.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async update (req, res, next) {
+    try {
+      const user = req.user
+      const { email, company: name, orgNo, role, companyRole } = req.body
+      const previousEmail = user.email
+
+      if (role !== undefined && role !== user.role) {
+        if (!canAssignRole(req.admin.permissions, role)) {
+          const error = createError(403)
+          next(error)
+          return
+        }
+
+        if (user.id === req.admin.sub) {
+          const error = createError(403, 'You cannot change your own role.')
+          next(error)
+          return
+        }
+
+        user.role = role
+      }
+
+      if (companyRole !== undefined) {
+        user.companyRole = companyRole
+      }
+
+      // The new address has not been verified by the user.
+      if (email !== undefined && email.toLowerCase() !== user.email) {
+        user.email = email
+        user.emailVerified = false
+        user.pendingEmail = undefined
+      }
+
+      const company = name !== undefined || orgNo !== undefined ? await Company.findById(user.company) : null
+      if (company) {
+        company.name = name ?? company.name
+        company.orgNo = orgNo ?? company.orgNo
+      }
+
+      // Validate both before anything is saved.
+      await user.validate()
+      await company?.validate()
+
+      // Written right away, so only checked once the update is known to be valid.
+      if (user.isModified('role') && !ADMIN_ROLES.includes(user.role) && !(await this.changeUnlessLastAdmin(user, { role: user.role }))) {
+        const error = createError(403, 'There must be at least one active admin.')
+        next(error)
+        return
       }
 
-      customer.password = req.body.newPassword
-      customer.save()
+      await company?.save()
+      await user.save()
+      audit(req, 'admin.update', {
+        actor: req.admin.sub,
+        target: user.id,
+        details: { fields: Object.keys(req.body).filter(field => req.body[field] !== undefined) }
+      })
+      if (user.email !== previousEmail) {
+        await publish('user.email_changed', { user: userPayload(user), previousEmail, source: 'admin' })
+      }
 
       res
         .status(204)
         .end()
     } catch (err) {
-      console.log(err)
       let error = err
-      error = createError(400)
+
+      if (error.code === 11000) {
+        // Duplicated keys.
+        error = createError(409)
+        error.cause = err
+      } else if (error.name === 'ValidationError') {
+        // Validation error(s).
+        error = createError(400)
+        error.cause = err
+      }
+
       next(error)
     }
   }
+
+  /**
+   * Deactivates a user, who can no longer sign in, and signs out its sessions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async deactivate (req, res, next) {
+    try {
+      const user = req.user
+
+      if (user.status !== 'active') {
+        const error = createError(409, 'Only active users can be deactivated.')
+        next(error)
+        return
+      }
+
+      if (user.id === req.admin.sub) {
+        const error = createError(403, 'You cannot deactivate yourself.')
+        next(error)
+        return
+      }
+
+      if (!(await this.changeUnlessLastAdmin(user, { status: 'deactivated' }))) {
+        const error = createError(403, 'There must be at least one active admin.')
+        next(error)
+        return
+      }
+
+      user.status = 'deactivated'
+      await user.save()
+      await TokenFamily.revokeAll(user.id, 'admin')
+      audit(req, 'admin.deactivate', { actor: req.admin.sub, target: user.id })
+      await publish('user.deactivated', { user: userPayload(user) })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Reactivates a deactivated user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async reactivate (req, res, next) {
+    try {
+      const user = req.user
+
+      if (user.status !== 'deactivated') {
+        const error = createError(409, 'The user is not deactivated.')
+        next(error)
+        return
+      }
+
+      user.status = 'active'
+      await user.save()
+      audit(req, 'admin.reactivate', { actor: req.admin.sub, target: user.id })
+      await publish('user.reactivated', { user: userPayload(user) })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Deletes a user together with its sessions, API keys, passkeys, invitations and reset links.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async remove (req, res, next) {
+    try {
+      const user = req.user
+
+      if (user.id === req.admin.sub) {
+        const error = createError(403, 'You cannot delete yourself.')
+        next(error)
+        return
+      }
+
+      // Deactivated first, so the user cannot sign in while the records are deleted.
+      if (!(await this.changeUnlessLastAdmin(user, { status: 'deactivated' }))) {
+        const error = createError(403, 'There must be at least one active admin.')
+        next(error)
+        return
+      }
+
+      await deleteUser(user)
+      audit(req, 'admin.delete', { actor: req.admin.sub, target: user.id, details: { email: user.email, role: user.role } })
+      await publish('user.deleted', { user: userPayload(user) })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Issues a short-lived access token to act as a customer, without asking for the password.
+   *
+   * The token cannot be refreshed, so the admin.impersonate event records
+   * that the impersonation ends when the token expires, at expiresAt, unless
+   * an impersonation.end event for the same jti records that it ended earlier.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async impersonate (req, res, next) {
+    try {
+      const user = req.user
+
+      if (user.role !== 'customer' || user.status !== 'active') {
+        const error = createError(403, 'Only active customers can be impersonated.')
+        next(error)
+        return
+      }
+
+      const accessToken = await issueImpersonationToken(user, req.admin.sub)
+      const { jti, iat, exp } = jwt.decode(accessToken)
+      audit(req, 'admin.impersonate', {
+        actor: req.admin.sub,
+        target: user.id,
+        details: { jti, expiresAt: new Date(exp * 1000), endsOnExpiry: true }
+      })
+
+      res
+        .set('Cache-Control', 'no-store')
+        .status(201)
+        .json({
+          access_token: accessToken,
+          token_type: 'Bearer',
+          expires_in: exp - iat
+        })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Changes the role or status of a user, unless no active admin would be left.
+   *
+   * The change is written before the active admins are counted, and undone
+   * if there are none, so two admins demoting or deleting each other at the
+   * same time cannot both succeed.
+   *
+   * @param {object} user - The user.
+   * @param {object} change - The new role or status.
+   * @returns {Promise<boolean>} False if the change was undone.
+   */
+  async changeUnlessLastAdmin (user, change) {
+    const previous = await User.findOneAndUpdate({ _id: user._id }, change)
+    if (!previous || !ADMIN_ROLES.includes(previous.role) || previous.status !== 'active') {
+      return true
+    }
+
+    if (await User.exists({ role: { $in: ADMIN_ROLES }, status: 'active' })) {
+      return true
+    }
+
+    await User.updateOne({ _id: user._id }, { role: previous.role, status: previous.status })
+    return false
+  }
 }
@@ -0,0 +1,292 @@
+/**
+ * Module for the WebhooksController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { WebhookEndpoint } from '../../models/webhook-endpoint.js'
+import { WebhookDelivery } from '../../models/webhook-delivery.js'
+import { audit } from '../../utils/audit.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class WebhooksController {
+  /**
+   * Provide req.webhook to the route if :webhookId is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the webhook endpoint to load.
+   */
+  async loadWebhook (req, res, next, id) {
+    try {
+      const webhook = await WebhookEndpoint.findById(id)
+
+      // If no endpoint found send 404.
+      if (!webhook) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.webhook = webhook
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Provide req.delivery to the route if :deliveryId of the loaded endpoint is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} id - The value of the id for the delivery to load.
+   */
+  async loadDelivery (req, res, next, id) {
+    try {
+      const delivery = await WebhookDelivery.findById(id)
+
+      // Deliveries to another endpoint are reported as not found.
+      if (!delivery || !delivery.endpoint.equals(req.webhook._id)) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.delivery = delivery
+
+      next()
+    } catch (err) {
+      let error = err
+      // If id is incorrect, does not match mongoose format (CastError), send 404
+      if (error.name === 'CastError') {
+        error = createError(404)
+        next(error)
+      } else {
+        next(error)
+      }
+    }
+  }
+
+  /**
+   * Sends a JSON response containing the webhook endpoints.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findAll (req, res, next) {
+    try {
+      res.json(await WebhookEndpoint.find().sort({ createdAt: -1 }))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing a webhook endpoint.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async find (req, res, next) {
+    res.json(req.webhook)
+  }
+
+  /**
+   * Registers a webhook endpoint. The signing secret is only shown in this response.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async create (req, res, next) {
+    try {
+      const webhook = new WebhookEndpoint({
+        url: req.body.url,
+        description: req.body.description,
+        events: [...new Set(req.body.events)],
+        enabled: req.body.enabled,
+        createdBy: req.admin.sub
+      })
+      const secret = webhook.generateSecret()
+      await webhook.save()
+      audit(req, 'webhook.created', { actor: req.admin.sub, details: { webhook: webhook.id, url: webhook.url, events: webhook.events } })
+
+      res
+        .status(201)
+        .json({ ...webhook.toJSON(), secret })
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Updates the URL, description, events or enabled state of a webhook endpoint.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async update (req, res, next) {
+    try {
+      const webhook = req.webhook
+      const { url, description, events, enabled } = req.body
+
+      webhook.url = url ?? webhook.url
+      webhook.description = description ?? webhook.description
+      webhook.events = events ? [...new Set(events)] : webhook.events
+      webhook.enabled = enabled ?? webhook.enabled
+
+      await webhook.save()
+      audit(req, 'webhook.updated', {
+        actor: req.admin.sub,
+        details: { webhook: webhook.id, fields: Object.keys(req.body).filter(field => req.body[field] !== undefined) }
+      })
+
+      res.json(webhook)
+    } catch (err) {
+      let error = err
+      if (error.name === 'ValidationError') {
+        error = createError(400)
+        error.cause = err
+      }
+      next(error)
+    }
+  }
+
+  /**
+   * Replaces the signing secret of a webhook endpoint. The new secret is only shown in this response.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async rotateSecret (req, res, next) {
+    try {
+      const secret = req.webhook.generateSecret()
+      await req.webhook.save()
+      audit(req, 'webhook.secret_rotated', { actor: req.admin.sub, details: { webhook: req.webhook.id } })
+
+      res.json({ ...req.webhook.toJSON(), secret })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Deletes a webhook endpoint together with its deliveries.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async remove (req, res, next) {
+    try {
+      await req.webhook.deleteOne()
+      await WebhookDelivery.deleteMany({ endpoint: req.webhook.id })
+      audit(req, 'webhook.deleted', { actor: req.admin.sub, details: { webhook: req.webhook.id, url: req.webhook.url } })
+
+      res
+        .status(204)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends a page of the deliveries to a webhook endpoint, newest first.
+   *
+   * Supports status and type filters. Pass the returned next_cursor as
+   * cursor to get the following page.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findDeliveries (req, res, next) {
+    try {
+      const { status, type, cursor, limit = 50 } = req.query
+      const filter = { endpoint: req.webhook.id }
+
+      if (status) {
+        filter.status = status
+      }
+      if (type) {
+        filter.type = type
+      }
+      if (cursor) {
+        filter._id = { $lt: cursor }
+      }
+
+      // Fetch one extra delivery to know if there is a next page.
+      const deliveries = await WebhookDelivery.find(filter).sort({ _id: -1 }).limit(limit + 1)
+      const hasNext = deliveries.length > limit
+
+      res.json({
+        deliveries: deliveries.slice(0, limit),
+        next_cursor: hasNext ? deliveries[limit - 1].id : null
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends a JSON response containing a delivery with all its attempts.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async findDelivery (req, res, next) {
+    res.json(req.delivery)
+  }
+
+  /**
+   * Queues a delivered or failed event to be sent again.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async redeliver (req, res, next) {
+    try {
+      if (req.delivery.status === 'pending') {
+        const error = createError(409, 'The delivery is already pending.')
+        next(error)
+        return
+      }
+
+      await req.delivery.redeliver()
+      audit(req, 'webhook.redelivered', { actor: req.admin.sub, details: { webhook: req.webhook.id, delivery: req.delivery.id } })
+
+      res
+        .status(202)
+        .json(req.delivery)
+    } catch (err) {
+      next(err)
+    }
+  }
+}
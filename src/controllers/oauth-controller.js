@@ -0,0 +1,658 @@
+/**
+ * Module for the OAuthController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import jwt from 'jsonwebtoken'
+import ms from 'ms'
+import { User } from '../models/user.js'
+import { TokenFamily } from '../models/token-family.js'
+import { LoginThrottle } from '../models/login-throttle.js'
+import { OAuthClient, GRANT_TYPES } from '../models/oauth-client.js'
+import { AuthorizationCode } from '../models/authorization-code.js'
+import { RefreshToken } from '../models/refresh-token.js'
+import { RevokedToken } from '../models/revoked-token.js'
+import { keyring } from '../utils/keyring.js'
+import { issueTokens, redeemRefreshToken, verifyAccessToken } from '../utils/tokens.js'
+import { audit } from '../utils/audit.js'
+import { publish, userPayload } from '../utils/webhooks.js'
+import { claimsFor, SCOPE_CLAIMS } from '../config/oidc.js'
+import { renderAuthorizePage, renderErrorPage } from '../views/authorize.js'
+
+/**
+ * Creates an error answered in the OAuth 2.0 error format.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {string} code - The OAuth error code, e.g. invalid_grant.
+ * @param {string} description - A human readable description.
+ * @returns {Error} The error.
+ */
+const oauthError = (status, code, description) => createError(status, description, { oauthError: code })
+
+/**
+ * Sends the user agent back to the client with the result of the authorization request.
+ *
+ * @param {object} res - Express response object.
+ * @param {string} redirectUri - The registered redirect URI.
+ * @param {object} params - The parameters to add to the redirect URI.
+ */
+const redirectToClient = (res, redirectUri, params) => {
+  const url = new URL(redirectUri)
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([name, value]) => url.searchParams.set(name, value))
+
+  res.redirect(url.href)
+}
+
+/**
+ * Sends an HTML page of the authorization endpoint.
+ *
+ * The form may redirect to the client, so its origin is allowed as a form action.
+ *
+ * @param {object} res - Express response object.
+ * @param {number} status - The HTTP status code.
+ * @param {string} html - The page.
+ * @param {string} [redirectUri] - The redirect URI of the request.
+ */
+const sendPage = (res, status, html, redirectUri) => {
+  const url = redirectUri && new URL(redirectUri)
+  const target = url ? (url.origin === 'null' ? url.protocol : url.origin) : ''
+
+  res
+    .status(status)
+    .set('Cache-Control', 'no-store')
+    .set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${target}; frame-ancestors 'none'`)
+    .type('html')
+    .send(html)
+}
+
+/**
+ * Checks an authorization request from a known client.
+ *
+ * @param {object} client - The client.
+ * @param {object} params - The authorization request parameters.
+ * @returns {object} The requested scopes, or the OAuth error to redirect with.
+ */
+const checkAuthorizationRequest = (client, params) => {
+  if (params.response_type !== 'code') {
+    return { error: 'unsupported_response_type', error_description: 'Only the code response type is supported.' }
+  }
+  if (!client.grants.includes('authorization_code')) {
+    return { error: 'unauthorized_client', error_description: 'The client may not use the authorization code grant.' }
+  }
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    return { error: 'invalid_request', error_description: 'PKCE with the S256 method is required.' }
+  }
+
+  const scopes = client.allowedScopes(params.scope)
+  if (!scopes) {
+    return { error: 'invalid_scope', error_description: 'The client may not request the scope.' }
+  }
+
+  return { scopes }
+}
+
+/**
+ * Finds the client of an authorization request, if the redirect URI is registered for it.
+ *
+ * @param {object} params - The authorization request parameters.
+ * @returns {Promise<OAuthClient>} The client, or null.
+ */
+const findClient = async (params) => {
+  const client = params.client_id && await OAuthClient.findOne({ clientId: params.client_id.toString() })
+
+  return client?.redirectUris.includes(params.redirect_uri) ? client : null
+}
+
+/**
+ * Authenticates the client calling the token endpoint.
+ *
+ * Confidential clients authenticate with HTTP Basic or client_secret in the
+ * body, public clients only identify themselves with client_id.
+ *
+ * @param {object} req - Express request object.
+ * @returns {Promise<OAuthClient>} The client.
+ */
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id
+  let secret = req.body.client_secret
+
+  try {
+    const [scheme, credentials] = req.headers.authorization?.split(' ') ?? []
+    if (scheme === 'Basic') {
+      const decoded = Buffer.from(credentials, 'base64').toString()
+      const separator = decoded.indexOf(':')
+      clientId = decodeURIComponent(decoded.slice(0, separator))
+      secret = decodeURIComponent(decoded.slice(separator + 1))
+    }
+  } catch {
+    clientId = undefined
+  }
+
+  const client = clientId && await OAuthClient.findOne({ clientId: clientId.toString() })
+  if (!client || (client.type === 'confidential' && !client.verifySecret(secret))) {
+    throw oauthError(401, 'invalid_client', 'Client authentication failed.')
+  }
+
+  return client
+}
+
+/**
+ * Checks a PKCE code verifier against the S256 code challenge.
+ *
+ * @param {string} verifier - The code verifier sent by the client.
+ * @param {string} challenge - The code challenge of the authorization request.
+ * @returns {boolean} True if the verifier matches.
+ */
+const verifyCodeVerifier = (verifier, challenge) =>
+  typeof verifier === 'string' &&
+  /^[A-Za-z0-9\-._~]{43,128}$/.test(verifier) &&
+  crypto.createHash('sha256').update(verifier).digest('base64url') === challenge
+
+/**
+ * Signs an OpenID Connect ID token for the client.
+ *
+ * @param {object} user - The user signed in.
+ * @param {object} family - The session, with the scope granted to the client.
+ * @param {string} accessToken - The access token issued with the ID token.
+ * @param {string} [nonce] - The nonce of the authorization request.
+ * @returns {Promise<string>} The ID token.
+ */
+const signIdToken = async (user, family, accessToken, nonce) => {
+  await user.populate('company')
+
+  // at_hash binds the access token, the left half of its SHA-256 hash.
+  const hash = crypto.createHash('sha256').update(accessToken).digest()
+
+  return keyring.sign({
+    ...claimsFor(user, family.scope),
+    auth_time: Math.floor(family.createdAt / 1000),
+    amr: family.amr,
+    sid: family.id,
+    at_hash: hash.subarray(0, hash.length / 2).toString('base64url'),
+    nonce
+  }, {
+    audience: family.clientId,
+    expiresIn: process.env.ID_TOKEN_LIFE || '1h'
+  })
+}
+
+/**
+ * Creates the token endpoint response.
+ *
+ * @param {string} accessToken - The access token.
+ * @param {string[]} scopes - The granted scopes.
+ * @param {string} [refreshToken] - The refresh token, if one is issued.
+ * @param {string} [idToken] - The ID token, if the openid scope was granted.
+ * @returns {object} The response body.
+ */
+const tokenResponse = (accessToken, scopes, refreshToken, idToken) => {
+  const { exp, iat } = jwt.decode(accessToken)
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: exp - iat,
+    refresh_token: refreshToken,
+    id_token: idToken,
+    scope: scopes.join(' ')
+  }
+}
+
+/**
+ * Describes an access token for introspection, if it is still active.
+ *
+ * Tokens of users that were deleted or signed out are no longer active, and
+ * the role and permissions are the current ones of the user.
+ *
+ * @param {string} token - The token.
+ * @returns {Promise<object>} The introspection response, or null.
+ */
+const introspectAccessToken = async (token) => {
+  const payload = await verifyAccessToken(token).catch(() => null)
+  if (!payload) {
+    return null
+  }
+
+  const { iss, aud, sub, exp, iat, jti, client_id: clientId, scope, act } = payload
+  const response = { active: true, token_type: 'access_token', iss, aud, sub, exp, iat, jti, client_id: clientId, scope, act }
+
+  if (sub === clientId) {
+    return await OAuthClient.exists({ clientId }) ? response : null
+  }
+
+  const user = await User.findById(sub)
+  const family = payload.sid && await TokenFamily.findById(payload.sid)
+  if (user?.status !== 'active' || (payload.sid && (!family || family.revokedAt))) {
+    return null
+  }
+
+  return {
+    ...response,
+    username: user.email,
+    org: user.company.toString(),
+    role: user.role,
+    permissions: clientId ? [] : user.permissions
+  }
+}
+
+/**
+ * Describes a refresh token for introspection, if it is still active.
+ *
+ * @param {string} token - The token.
+ * @returns {Promise<object>} The introspection response, or null.
+ */
+const introspectRefreshToken = async (token) => {
+  let payload
+  try {
+    payload = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET, { algorithms: ['HS256'] })
+  } catch {
+    return null
+  }
+
+  const refreshToken = await RefreshToken.findByToken(token)
+  const family = refreshToken && await TokenFamily.findById(refreshToken.family)
+  if (!family || family.revokedAt || refreshToken.usedAt || !(await User.exists({ _id: refreshToken.user, status: 'active' }))) {
+    return null
+  }
+
+  const { iss, aud, sub, exp, iat } = payload
+  return {
+    active: true,
+    token_type: 'refresh_token',
+    iss,
+    aud,
+    sub,
+    exp,
+    iat,
+    client_id: family.clientId,
+    scope: family.scope?.join(' ')
+  }
+}
+
+/**
+ * Encapsulates a controller.
+ */
+export class OAuthController {
+  /**
+   * Shows the sign in and consent page for an authorization request.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async authorize (req, res, next) {
+    try {
+      const params = req.query
+      const client = await findClient(params)
+      if (!client) {
+        sendPage(res, 400, renderErrorPage('The application or its redirect URI is not registered.'))
+        return
+      }
+
+      const { scopes, ...error } = checkAuthorizationRequest(client, params)
+      if (!scopes) {
+        redirectToClient(res, params.redirect_uri, { ...error, state: params.state })
+        return
+      }
+
+      sendPage(res, 200, renderAuthorizePage({ client, params, scopes }), params.redirect_uri)
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Signs the user in and, if the user allows it, sends an authorization code to the client.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async approve (req, res, next) {
+    let reserved = null
+    try {
+      const params = req.body
+      const client = await findClient(params)
+      if (!client) {
+        sendPage(res, 400, renderErrorPage('The application or its redirect URI is not registered.'))
+        return
+      }
+
+      const { scopes, ...error } = checkAuthorizationRequest(client, params)
+      if (!scopes) {
+        redirectToClient(res, params.redirect_uri, { ...error, state: params.state })
+        return
+      }
+
+      if (params.decision !== 'allow') {
+        redirectToClient(res, params.redirect_uri, { error: 'access_denied', state: params.state })
+        return
+      }
+
+      /**
+       * Shows the page again with an error message.
+       *
+       * @param {number} status - The HTTP status code.
+       * @param {string} message - The error message.
+       */
+      const retry = (status, message) => {
+        sendPage(res, status, renderAuthorizePage({ client, params, scopes, email: params.email, error: message }), params.redirect_uri)
+      }
+
+      const email = params.email?.toString().toLowerCase()
+      if (!email || !params.password) {
+        retry(400, 'Enter your email address and password.')
+        return
+      }
+
+      const throttleKeys = [`email:${email}`, `ip:${req.ip}`]
+      if (await LoginThrottle.reserve(throttleKeys)) {
+        retry(429, 'Too many failed login attempts, try again later.')
+        return
+      }
+      reserved = throttleKeys
+
+      const user = await User.authenticate(email, params.password.toString()).catch(() => null)
+      if (!user || (user.mfa.enabled && !(await user.verifyMfaCode(params.code?.toString())))) {
+        reserved = null
+        await LoginThrottle.registerFailure(throttleKeys)
+        audit(req, 'oauth.authorize', { outcome: 'failure', actor: user?.id, target: user?.id, details: { email, client: client.clientId } })
+        retry(401, user ? 'Invalid two-factor code.' : 'Invalid email address or password.')
+        return
+      }
+
+      const code = await AuthorizationCode.issue({
+        clientId: client.clientId,
+        user: user.id,
+        redirectUri: params.redirect_uri,
+        scope: scopes,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce?.toString(),
+        amr: user.mfa.enabled ? ['pwd', 'otp'] : ['pwd']
+      }, ms(process.env.AUTHORIZATION_CODE_LIFE || '1m'))
+      reserved = null
+      await LoginThrottle.registerSuccess(throttleKeys)
+      audit(req, 'oauth.authorize', { actor: user.id, target: user.id, details: { client: client.clientId, scope: scopes } })
+
+      redirectToClient(res, params.redirect_uri, { code, state: params.state })
+    } catch (err) {
+      // An attempt that failed for another reason than the credentials is not counted.
+      if (reserved) {
+        await LoginThrottle.release(reserved).catch(err => console.error(err))
+      }
+      next(err)
+    }
+  }
+
+  /**
+   * Issues tokens at the token endpoint.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async token (req, res, next) {
+    try {
+      res.set('Cache-Control', 'no-store')
+
+      const client = await authenticateClient(req)
+      const grantType = req.body.grant_type
+
+      if (!GRANT_TYPES.includes(grantType)) {
+        throw oauthError(400, 'unsupported_grant_type', 'The grant type is not supported.')
+      }
+      if (!client.grants.includes(grantType)) {
+        throw oauthError(400, 'unauthorized_client', 'The client may not use the grant type.')
+      }
+
+      if (grantType === 'authorization_code') {
+        res.json(await this.exchangeCode(req, client))
+      } else if (grantType === 'refresh_token') {
+        res.json(await this.refresh(req, client))
+      } else {
+        res.json(await this.clientCredentials(req, client))
+      }
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends the claims about the user released by the scope of the access token.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async userinfo (req, res, next) {
+    try {
+      const [scheme, token] = req.headers.authorization?.split(' ') ?? []
+      const payload = scheme === 'Bearer' && await verifyAccessToken(token).catch(() => null)
+      if (!payload || payload.sub === payload.client_id) {
+        throw oauthError(401, 'invalid_token', 'The access token is invalid.')
+      }
+
+      // Tokens from /login carry no scope and release every claim.
+      const scopes = payload.scope === undefined ? Object.keys(SCOPE_CLAIMS) : payload.scope.split(' ')
+      if (!scopes.includes('openid')) {
+        throw oauthError(403, 'insufficient_scope', 'The access token was not granted the openid scope.')
+      }
+
+      const user = await User.findById(payload.sub).populate('company')
+      if (user?.status !== 'active') {
+        throw oauthError(401, 'invalid_token', 'The access token is invalid.')
+      }
+
+      res
+        .set('Cache-Control', 'no-store')
+        .json(claimsFor(user, scopes))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Tells a resource server whether a token is active (RFC 7662).
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async introspect (req, res, next) {
+    try {
+      res.set('Cache-Control', 'no-store')
+
+      const client = await authenticateClient(req)
+      if (client.type !== 'confidential') {
+        throw oauthError(401, 'invalid_client', 'Only confidential clients may introspect tokens.')
+      }
+      if (!req.body.token) {
+        throw oauthError(400, 'invalid_request', 'The token parameter is required.')
+      }
+
+      // Look up the hinted type first, the hint may be wrong.
+      const token = req.body.token.toString()
+      const lookups = req.body.token_type_hint === 'refresh_token'
+        ? [introspectRefreshToken, introspectAccessToken]
+        : [introspectAccessToken, introspectRefreshToken]
+
+      for (const lookup of lookups) {
+        const response = await lookup(token)
+        if (response) {
+          res.json(response)
+          return
+        }
+      }
+
+      res.json({ active: false })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Revokes a token issued to the client (RFC 7009).
+   *
+   * Revoking a refresh token signs out its session, a revoked access token is
+   * denied until it expires. Unknown and invalid tokens are ignored.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revoke (req, res, next) {
+    try {
+      const client = await authenticateClient(req)
+      if (!req.body.token) {
+        throw oauthError(400, 'invalid_request', 'The token parameter is required.')
+      }
+
+      const token = req.body.token.toString()
+      const refreshToken = await RefreshToken.findByToken(token)
+      const family = refreshToken && await TokenFamily.findById(refreshToken.family)
+
+      if (family) {
+        if (family.clientId === client.clientId && await TokenFamily.revoke(family.id, 'logout')) {
+          audit(req, 'oauth.revoke', { actor: refreshToken.user, target: refreshToken.user, details: { client: client.clientId, family: family.id } })
+        }
+      } else {
+        const payload = await keyring.verify(token).catch(() => null)
+        if (payload?.jti && payload.client_id === client.clientId) {
+          await RevokedToken.revoke(payload.jti, payload.exp)
+          audit(req, 'oauth.revoke', { target: payload.sub, details: { client: client.clientId, jti: payload.jti } })
+        }
+      }
+
+      res
+        .status(200)
+        .end()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Exchanges an authorization code for tokens, starting a new session.
+   *
+   * If a code is used twice, the session started with it is revoked.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} client - The authenticated client.
+   * @returns {Promise<object>} The token response.
+   */
+  async exchangeCode (req, client) {
+    const code = req.body.code && await AuthorizationCode.findByCode(req.body.code.toString())
+
+    if (!code || code.clientId !== client.clientId || code.redirectUri !== req.body.redirect_uri ||
+      !verifyCodeVerifier(req.body.code_verifier, code.codeChallenge)) {
+      throw oauthError(400, 'invalid_grant', 'The authorization code is invalid.')
+    }
+
+    if (!(await AuthorizationCode.consume(code.id))) {
+      const used = await AuthorizationCode.findById(code.id)
+      if (used?.family) {
+        await TokenFamily.revoke(used.family, 'reuse')
+      }
+      audit(req, 'token.reuse', { outcome: 'failure', target: code.user, details: { family: used?.family, client: client.clientId } })
+      await publish('session.token_reuse_detected', { user: { id: code.user.toString() }, family: used?.family?.toString(), client: client.clientId, ip: req.ip })
+      throw oauthError(400, 'invalid_grant', 'The authorization code is invalid.')
+    }
+
+    const user = await User.findById(code.user)
+    if (user?.status !== 'active') {
+      throw oauthError(400, 'invalid_grant', 'The authorization code is invalid.')
+    }
+
+    const family = new TokenFamily({
+      user: user.id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      label: client.name,
+      lastUsedAt: Date.now(),
+      amr: code.amr,
+      clientId: client.clientId,
+      scope: code.scope
+    })
+    const tokens = await issueTokens(user, family)
+    await AuthorizationCode.updateOne({ _id: code.id }, { family: family.id })
+    audit(req, 'oauth.token', { actor: user.id, target: user.id, details: { client: client.clientId, grant: 'authorization_code', family: family.id } })
+
+    const idToken = family.scope.includes('openid')
+      ? await signIdToken(user, family, tokens.access_token, code.nonce)
+      : undefined
+
+    // Refresh tokens are only handed to clients allowed to use them.
+    return tokenResponse(
+      tokens.access_token,
+      family.scope,
+      client.grants.includes('refresh_token') ? tokens.refresh_token : undefined,
+      idToken
+    )
+  }
+
+  /**
+   * Rotates a refresh token issued to the client.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} client - The authenticated client.
+   * @returns {Promise<object>} The token response.
+   */
+  async refresh (req, client) {
+    const redeemed = req.body.refresh_token && await redeemRefreshToken(req.body.refresh_token.toString(), client.clientId)
+    if (!redeemed) {
+      throw oauthError(400, 'invalid_grant', 'The refresh token is invalid.')
+    }
+
+    const { refreshToken, family, user, reused } = redeemed
+    if (reused) {
+      audit(req, 'token.reuse', { outcome: 'failure', target: user.id, details: { family: family.id, client: client.clientId } })
+      await publish('session.token_reuse_detected', { user: userPayload(user), family: family.id, client: client.clientId, ip: req.ip })
+      throw oauthError(400, 'invalid_grant', 'The refresh token is invalid.')
+    }
+
+    family.ip = req.ip
+    family.lastUsedAt = Date.now()
+
+    const tokens = await issueTokens(user, family, refreshToken)
+    audit(req, 'oauth.token', { actor: user.id, target: user.id, details: { client: client.clientId, grant: 'refresh_token', family: family.id } })
+
+    const idToken = family.scope.includes('openid')
+      ? await signIdToken(user, family, tokens.access_token)
+      : undefined
+
+    return tokenResponse(tokens.access_token, family.scope, tokens.refresh_token, idToken)
+  }
+
+  /**
+   * Issues an access token to a confidential client acting on its own behalf.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} client - The authenticated client.
+   * @returns {Promise<object>} The token response.
+   */
+  async clientCredentials (req, client) {
+    if (client.type !== 'confidential') {
+      throw oauthError(400, 'unauthorized_client', 'Only confidential clients may use the client credentials grant.')
+    }
+
+    const scopes = client.allowedScopes(req.body.scope)
+    if (!scopes) {
+      throw oauthError(400, 'invalid_scope', 'The client may not request the scope.')
+    }
+
+    // The client is the subject, there is no user or session.
+    const accessToken = await keyring.sign(
+      { sub: client.clientId, client_id: client.clientId, scope: scopes.join(' ') },
+      { expiresIn: process.env.ACCESS_TOKEN_LIFE }
+    )
+    audit(req, 'oauth.token', { details: { client: client.clientId, grant: 'client_credentials' } })
+
+    return tokenResponse(accessToken, scopes)
+  }
+}
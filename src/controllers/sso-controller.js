@@ -0,0 +1,284 @@
+/**
+ * Module for the SsoController.
+ *
+ * Users of companies with an identity provider sign in there. The provider
+ * answers the service, which links the identity to a user of the company
+ * and redirects the browser back to the client with a one-time code. The
+ * client exchanges the code for tokens at /api/v1/login/sso.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import createError from 'http-errors'
+import ms from 'ms'
+import { User } from '../models/user.js'
+import { Company } from '../models/company.js'
+import { Invitation } from '../models/invitation.js'
+import { IdentityProvider } from '../models/identity-provider.js'
+import { SsoLogin } from '../models/sso-login.js'
+import { createServiceProvider } from '../utils/saml.js'
+import { authorizationUrl, fetchIdentity } from '../utils/oidc-federation.js'
+import { normalizeOrgNo } from '../utils/org-no.js'
+import { audit } from '../utils/audit.js'
+import { publish, userPayload } from '../utils/webhooks.js'
+
+/**
+ * Redirects the browser back to the client.
+ *
+ * @param {object} res - Express response object.
+ * @param {object} params - The query parameters, the code or an error.
+ */
+const redirectToClient = (res, params) => {
+  res.redirect(`${process.env.CLIENT_URL}/sso/callback?${new URLSearchParams(params)}`)
+}
+
+/**
+ * Finds the user of the company with an identity at the provider.
+ *
+ * A user signing in for the first time is linked by email address, if the
+ * provider has verified the address and it belongs to the company and one
+ * of the domains of the provider, and created if the provider provisions
+ * users. Users with a password are only linked if the provider is trusted
+ * with their addresses, as it can then sign in as them.
+ *
+ * @param {object} provider - The identity provider.
+ * @param {object} identity - Who signed in at the provider.
+ * @param {string} identity.subject - The identifier of the user at the provider.
+ * @param {string} [identity.email] - The email address of the user.
+ * @param {boolean} [identity.emailVerified] - True if the provider has verified the address.
+ * @returns {Promise<object>} The user, or null if the identity cannot sign in.
+ */
+const linkUser = async (provider, { subject, email, emailVerified }) => {
+  const externalIdentity = { provider: provider._id, subject }
+  let user = await User.findOne({ externalIdentities: { $elemMatch: externalIdentity } })
+
+  if (!user) {
+    if (!email || !emailVerified || !provider.acceptsEmail(email)) {
+      return null
+    }
+
+    user = await User.findOne({ email: email.toLowerCase() })
+    if (user && (!user.company.equals(provider.company) || (user.password && !provider.trustEmail))) {
+      return null
+    }
+
+    if (user) {
+      user.externalIdentities = [...(user.externalIdentities ?? []), externalIdentity]
+    } else if (provider.provisionUsers) {
+      user = new User({
+        email,
+        company: provider.company,
+        companyRole: 'member',
+        externalIdentities: [externalIdentity]
+      })
+    } else {
+      return null
+    }
+
+    // The provider vouches for the addresses of its domains.
+    user.emailVerified = true
+  }
+
+  if (user.status === 'deactivated') {
+    return null
+  }
+
+  // Signing in completes the invitation of an invited user.
+  if (user.status === 'invited') {
+    user.status = 'active'
+    await Invitation.updateMany({ user: user._id, acceptedAt: null }, { acceptedAt: Date.now() })
+  }
+
+  const created = user.isNew
+  await user.save()
+
+  if (created) {
+    await publish('user.registered', { user: userPayload(user), source: 'sso' })
+  }
+
+  return user
+}
+
+/**
+ * Encapsulates a controller.
+ */
+export class SsoController {
+  /**
+   * Provide req.company and req.identityProvider to the route if :orgNo is present.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @param {string} orgNo - The organization number of the company.
+   */
+  async loadIdentityProvider (req, res, next, orgNo) {
+    try {
+      const company = await Company.findOne({ orgNo: normalizeOrgNo(orgNo) })
+      const provider = company && await IdentityProvider.findOne({ company: company.id, enabled: true })
+
+      // If the company has no identity provider send 404.
+      if (!provider) {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      req.company = company
+      req.identityProvider = provider
+
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends the user to the identity provider of the company.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async login (req, res, next) {
+    try {
+      const provider = req.identityProvider
+      const orgNo = req.company.orgNo
+      const lifetime = ms(process.env.SSO_LOGIN_LIFE || '10m')
+
+      if (provider.protocol === 'saml') {
+        const requestId = `_${crypto.randomBytes(20).toString('hex')}`
+        const state = await SsoLogin.start({ identityProvider: provider.id, requestId }, lifetime)
+
+        res.redirect(await createServiceProvider(provider, orgNo, { requestId }).getAuthorizeUrlAsync(state, undefined, {}))
+        return
+      }
+
+      const nonce = crypto.randomBytes(16).toString('base64url')
+      const codeVerifier = crypto.randomBytes(32).toString('base64url')
+      const state = await SsoLogin.start({ identityProvider: provider.id, nonce, codeVerifier }, lifetime)
+
+      res.redirect(await authorizationUrl(provider, { orgNo, state, nonce, codeVerifier }))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends the SAML service provider metadata for the company.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async samlMetadata (req, res, next) {
+    try {
+      if (req.identityProvider.protocol !== 'saml') {
+        const error = createError(404)
+        next(error)
+        return
+      }
+
+      const serviceProvider = createServiceProvider(req.identityProvider, req.company.orgNo, { requestId: '' })
+      res
+        .type('application/samlmetadata+xml')
+        .send(serviceProvider.generateServiceProviderMetadata(null))
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Receives the SAML response posted by the identity provider.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async samlCallback (req, res, next) {
+    try {
+      const provider = req.identityProvider
+      const attempt = await SsoLogin.complete(req.body.RelayState)
+      if (provider.protocol !== 'saml' || !attempt?.identityProvider.equals(provider._id)) {
+        throw new Error('Unknown or expired sign in attempt.')
+      }
+
+      const { profile } = await createServiceProvider(provider, req.company.orgNo, attempt).validatePostResponseAsync(req.body)
+      const isEmail = profile.nameIDFormat === 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress'
+
+      // The signed assertion vouches for the address, SAML has no separate claim for it.
+      await this.signIn(req, res, attempt, {
+        subject: profile.nameID,
+        email: profile.email ?? profile.mail ?? (isEmail ? profile.nameID : undefined),
+        emailVerified: true
+      })
+    } catch (err) {
+      this.fail(req, res, err)
+    }
+  }
+
+  /**
+   * Receives the authorization code from the OpenID Connect identity provider.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async oidcCallback (req, res, next) {
+    try {
+      const provider = req.identityProvider
+      const attempt = await SsoLogin.complete(req.query.state)
+      if (provider.protocol !== 'oidc' || !attempt?.identityProvider.equals(provider._id)) {
+        throw new Error('Unknown or expired sign in attempt.')
+      }
+
+      if (req.query.error) {
+        throw new Error(`The identity provider answered ${req.query.error}.`)
+      }
+
+      const identity = await fetchIdentity(provider, {
+        orgNo: req.company.orgNo,
+        code: String(req.query.code),
+        nonce: attempt.nonce,
+        codeVerifier: attempt.codeVerifier
+      })
+      await this.signIn(req, res, attempt, identity)
+    } catch (err) {
+      this.fail(req, res, err)
+    }
+  }
+
+  /**
+   * Signs in the user with the identity, redirecting to the client with a one-time code.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {object} attempt - The sign in attempt.
+   * @param {object} identity - The subject and email address of the user at the provider.
+   */
+  async signIn (req, res, attempt, identity) {
+    const provider = req.identityProvider
+    const user = await linkUser(provider, identity)
+    if (!user) {
+      throw new Error(`No user of the company can sign in as ${identity.email ?? identity.subject}.`)
+    }
+
+    const code = await SsoLogin.issueCode(attempt.id, user.id, ms(process.env.SSO_CODE_LIFE || '1m'))
+    audit(req, 'sso.login', { actor: user.id, target: user.id, details: { identityProvider: provider.id, protocol: provider.protocol } })
+
+    redirectToClient(res, { code })
+  }
+
+  /**
+   * Records a failed sign in and redirects to the client with an error.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Error} err - Why the sign in failed.
+   */
+  fail (req, res, err) {
+    audit(req, 'sso.login', { outcome: 'failure', details: { identityProvider: req.identityProvider.id, reason: err.message } })
+    redirectToClient(res, { error: 'access_denied' })
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Module for the WellKnownController.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { keyring } from '../utils/keyring.js'
+import { issuer, SCOPE_CLAIMS } from '../config/oidc.js'
+import { GRANT_TYPES } from '../models/oauth-client.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class WellKnownController {
+  /**
+   * Sends the public signing keys as a JSON Web Key Set.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async jwks (req, res, next) {
+    try {
+      res
+        .set('Cache-Control', 'public, max-age=300')
+        .json(await keyring.jwks())
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  /**
+   * Sends the OpenID Connect discovery document.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  openidConfiguration (req, res, next) {
+    const base = issuer()
+
+    res
+      .set('Cache-Control', 'public, max-age=3600')
+      .json({
+        issuer: base,
+        authorization_endpoint: `${base}/oauth/authorize`,
+        token_endpoint: `${base}/oauth/token`,
+        userinfo_endpoint: `${base}/oauth/userinfo`,
+        introspection_endpoint: `${base}/oauth/introspect`,
+        revocation_endpoint: `${base}/oauth/revoke`,
+        jwks_uri: `${base}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        grant_types_supported: GRANT_TYPES,
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: Object.keys(SCOPE_CLAIMS),
+        claims_supported: [...new Set(Object.values(SCOPE_CLAIMS).flat()), 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'amr', 'sid', 'at_hash']
+      })
+  }
+}
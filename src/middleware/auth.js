@@ -0,0 +1,110 @@
+/**
+ * Authentication and authorization middleware for the API routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import { verifyAccessToken } from '../utils/tokens.js'
+import { authenticateApiKey } from '../utils/api-keys.js'
+
+/**
+ * Creates a middleware authenticating requests with an access token or an API key.
+ *
+ * The credentials are verified the same way for every router, which maps
+ * the principal onto the request with assign, e.g. as `req.admin`. Requests
+ * made with an API key get the claims of its user, with the key as apiKey.
+ * If authentication fails, an unauthorized response will be sent, and
+ * assign may refuse the principal by throwing an HTTP error.
+ *
+ * @param {Function} assign - Called with the request, the claims and the API key, if any.
+ * @returns {Function} Express middleware function.
+ */
+export const authenticate = (assign) => async (req, res, next) => {
+  let payload, apiKey
+  try {
+    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
+
+    if (authenticationScheme === 'ApiKey') {
+      const authenticated = await authenticateApiKey(token)
+      apiKey = authenticated.apiKey
+      payload = {
+        sub: authenticated.user.id,
+        org: authenticated.user.company.toString(),
+        org_role: authenticated.user.companyRole,
+        role: authenticated.user.role,
+        permissions: authenticated.user.permissions,
+        amr: ['api_key']
+      }
+    } else if (authenticationScheme === 'Bearer') {
+      payload = await verifyAccessToken(token)
+    } else {
+      throw new Error('Invalid authentication scheme.')
+    }
+
+    // Tokens of OAuth clients acting on their own behalf have no user.
+    if (payload.sub === payload.client_id) {
+      throw new Error('Not a user token.')
+    }
+  } catch (err) {
+    const error = createError(401)
+    error.cause = err
+    next(error)
+    return
+  }
+
+  try {
+    assign(req, payload, apiKey)
+    next()
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Authenticates requests to the admin routes.
+ *
+ * If authentication is successful, `req.admin` is populated and the
+ * request is authorized to continue. API keys only give the permissions
+ * of the user that are among their scopes.
+ */
+export const authenticateJWT = authenticate((req, payload, apiKey) => {
+  req.admin = {
+    sub: payload.sub,
+    role: payload.role,
+    permissions: (payload.permissions ?? []).filter(permission => !apiKey || apiKey.scopes.includes(permission)),
+    amr: payload.amr,
+    apiKey: apiKey?.id
+  }
+})
+
+/**
+ * Creates a middleware authorizing users with a permission.
+ *
+ * Checks if the role of the user gives the permission. If staff accounts
+ * are forced into two-factor authentication, the session must have used it
+ * or a passkey.
+ *
+ * @param {string} permission - The permission required, e.g. users:read.
+ * @returns {Function} Express middleware function.
+ */
+export const authorize = (permission) => (req, res, next) => {
+  try {
+    if (!req.admin.permissions.includes(permission)) {
+      throw new Error('No right to access.')
+    }
+
+    // A passkey verifies the user on the device, so it counts as two factors.
+    if (process.env.MFA_REQUIRED_FOR_ADMINS === 'true' && !['otp', 'hwk'].some(method => req.admin.amr?.includes(method))) {
+      next(createError(403, 'Two-factor authentication is required for staff accounts.'))
+      return
+    }
+
+    next()
+  } catch (err) {
+    const error = createError(403)
+    error.cause = err
+    next(error)
+  }
+}
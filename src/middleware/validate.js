@@ -0,0 +1,24 @@
+/**
+ * Request validation middleware.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { validateRequest, createValidationError } from '../utils/validation.js'
+
+/**
+ * Creates a middleware validating requests against a schema before the controller runs.
+ *
+ * @param {object} schema - The schema, with the fields of body and query.
+ * @returns {Function} Express middleware function.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const invalidParams = validateRequest(req, schema)
+  if (invalidParams.length) {
+    next(createValidationError(invalidParams))
+    return
+  }
+
+  next()
+}
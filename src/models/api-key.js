@@ -0,0 +1,125 @@
+/**
+ * Mongoose model ApiKey.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Prefix of every key, makes leaked keys easy to recognize.
+const KEY_PREFIX = 'lcak_'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true,
+    maxLength: [100, 'The name must be of maximum length 100 characters.']
+  },
+  // The beginning of the key, shown so the user can tell keys apart.
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only a hash of the key is stored.
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.keyHash
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.virtual('expired').get(function () {
+  return this.expiresAt < Date.now()
+})
+
+/**
+ * Hashes an API key.
+ *
+ * @param {string} key - The API key.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Generates the key, only shown to the user when it is created.
+ *
+ * @returns {string} The API key.
+ */
+schema.methods.generateKey = function () {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+  this.prefix = key.slice(0, KEY_PREFIX.length + 6)
+  this.keyHash = this.constructor.hash(key)
+
+  return key
+}
+
+/**
+ * Finds the unexpired key matching an API key.
+ *
+ * @param {string} key - The API key.
+ * @returns {Promise<ApiKey>} The stored key, or null.
+ */
+schema.statics.findValid = async function (key) {
+  return this.findOne({ keyHash: this.hash(key), expiresAt: { $gt: Date.now() } })
+}
+
+/**
+ * Records that the key was used, at most once a minute.
+ *
+ * @returns {Promise<object>} The update result.
+ */
+schema.methods.touch = async function () {
+  const now = Date.now()
+
+  return this.constructor.updateOne(
+    { _id: this._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: now - 60 * 1000 } }] },
+    { lastUsedAt: now }
+  )
+}
+
+// Create a model using the schema.
+export const ApiKey = mongoose.model('ApiKey', schema)
@@ -0,0 +1,68 @@
+/**
+ * Mongoose model AuditEvent.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // What happened, e.g. login, token.reuse or admin.register.
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // The user who performed the action, if known.
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The user the action was performed on.
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.index({ createdAt: -1 })
+schema.index({ actor: 1, _id: -1 })
+schema.index({ target: 1, _id: -1 })
+
+// Create a model using the schema.
+export const AuditEvent = mongoose.model('AuditEvent', schema)
@@ -0,0 +1,123 @@
+/**
+ * Mongoose model AuthorizationCode.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // Only a hash of the code is stored.
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: [String],
+    default: []
+  },
+  // PKCE, the S256 challenge the code verifier must match.
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  // OpenID Connect, echoed in the ID token to prevent replay.
+  nonce: {
+    type: String
+  },
+  // Authentication methods used when the user signed in.
+  amr: {
+    type: [String],
+    default: ['pwd']
+  },
+  usedAt: {
+    type: Date
+  },
+  // The token family started with the code, revoked if the code is used again.
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenFamily'
+  },
+  // Document is removed when the code has expired.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Hashes an authorization code.
+ *
+ * @param {string} code - The authorization code.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (code) {
+  return crypto.createHash('sha256').update(code).digest('hex')
+}
+
+/**
+ * Creates an authorization code.
+ *
+ * @param {object} grant - The user, client, redirect URI, scope, code challenge, nonce and amr of the grant.
+ * @param {number} lifetime - The lifetime of the code in milliseconds.
+ * @returns {Promise<string>} The code to send to the client.
+ */
+schema.statics.issue = async function (grant, lifetime) {
+  const code = crypto.randomBytes(32).toString('base64url')
+
+  await this.create({
+    ...grant,
+    codeHash: this.hash(code),
+    expire_at: Date.now() + lifetime
+  })
+
+  return code
+}
+
+/**
+ * Finds an unexpired code, used or not.
+ *
+ * @param {string} code - The authorization code.
+ * @returns {Promise<AuthorizationCode>} The stored code, or null.
+ */
+schema.statics.findByCode = async function (code) {
+  return this.findOne({ codeHash: this.hash(code), expire_at: { $gt: Date.now() } })
+}
+
+/**
+ * Marks a code as used, unless it already has been.
+ *
+ * @param {string} id - The id of the code.
+ * @returns {Promise<AuthorizationCode>} The code, or null if it was already used.
+ */
+schema.statics.consume = async function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, usedAt: null },
+    { usedAt: Date.now() },
+    { new: true }
+  )
+}
+
+// Create a model using the schema.
+export const AuthorizationCode = mongoose.model('AuthorizationCode', schema)
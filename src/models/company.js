@@ -0,0 +1,82 @@
+/**
+ * Mongoose model Company.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { isValidOrgNo, normalizeOrgNo } from '../utils/org-no.js'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Company is required.'],
+    trim: true
+  },
+  // Add this to make sorting case insensitive
+  nameNormalized: {
+    type: String
+  },
+  orgNo: {
+    type: String,
+    unique: true,
+    required: [true, 'Organization number is required.'],
+    validate: [isValidOrgNo, 'Please provide a valid organization number. ']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.nameNormalized
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Store organization numbers as NNNNNN-NNNN so they can be looked up whatever format they are given in.
+schema.pre('validate', function () {
+  this.orgNo = normalizeOrgNo(this.orgNo) ?? this.orgNo
+  this.nameNormalized = this.name?.toLowerCase()
+})
+
+/**
+ * Finds the company with an organization number, creating it if it does not exist.
+ *
+ * @param {object} company - The company.
+ * @param {string} company.name - The name, used if the company is created.
+ * @param {string} company.orgNo - The organization number.
+ * @returns {Promise<object>} The company and whether it was created.
+ */
+schema.statics.findOrCreate = async function ({ name, orgNo }) {
+  const existing = await this.findOne({ orgNo: normalizeOrgNo(orgNo) })
+  if (existing) {
+    return { company: existing, created: false }
+  }
+
+  try {
+    return { company: await this.create({ name, orgNo }), created: true }
+  } catch (err) {
+    // Created by a concurrent request.
+    if (err.code === 11000) {
+      return { company: await this.findOne({ orgNo: normalizeOrgNo(orgNo) }), created: false }
+    }
+    throw err
+  }
+}
+
+// Create a model using the schema.
+export const Company = mongoose.model('Company', schema)
@@ -0,0 +1,106 @@
+/**
+ * Mongoose model IdentityProvider.
+ *
+ * The identity provider of a company whose users sign in with enterprise
+ * single sign-on, over SAML 2.0 or OpenID Connect, instead of a password.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    unique: true
+  },
+  protocol: {
+    type: String,
+    enum: ['saml', 'oidc'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Email domains the provider may sign in, users of other domains are never linked.
+  domains: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: undefined
+  },
+  // Create users signing in for the first time, otherwise only existing users of the company are linked.
+  provisionUsers: {
+    type: Boolean,
+    default: false
+  },
+  // Link users with a password by email address too, which lets the provider sign in as them.
+  trustEmail: {
+    type: Boolean,
+    default: false
+  },
+  // From the SAML metadata of the provider.
+  saml: {
+    entityId: String,
+    entryPoint: String,
+    // PEM certificates or public keys the assertions are signed with.
+    certificates: {
+      type: [String],
+      default: undefined
+    }
+  },
+  oidc: {
+    issuer: String,
+    clientId: String,
+    clientSecret: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.oidc?.clientSecret
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// The email domains and the settings of the protocol are required.
+schema.pre('validate', function () {
+  const required = this.protocol === 'saml'
+    ? ['domains', 'saml.entityId', 'saml.entryPoint', 'saml.certificates']
+    : ['domains', 'oidc.issuer', 'oidc.clientId', 'oidc.clientSecret']
+
+  for (const path of required) {
+    if (!this.get(path)?.length) {
+      this.invalidate(path, `${path} is required.`)
+    }
+  }
+})
+
+/**
+ * Returns true if the provider may sign in a user with an email address.
+ *
+ * @param {string} email - The email address.
+ * @returns {boolean} True if the domain of the address is one of the provider.
+ */
+schema.methods.acceptsEmail = function (email) {
+  return this.domains.includes(String(email).split('@').pop().toLowerCase())
+}
+
+// Create a model using the schema.
+export const IdentityProvider = mongoose.model('IdentityProvider', schema)
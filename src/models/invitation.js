@@ -0,0 +1,129 @@
+/**
+ * Mongoose model Invitation.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // Only a hash of the token sent by email is stored.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The invited user, who has no password until the invitation is accepted.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.tokenHash
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.virtual('expired').get(function () {
+  return this.expire_at < Date.now()
+})
+
+/**
+ * Hashes an invitation token.
+ *
+ * @param {string} token - The invitation token.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Generates a new token for the invitation, invalidating the previous one.
+ *
+ * @param {number} lifetime - The lifetime of the token in milliseconds.
+ * @returns {string} The token to send to the invited user.
+ */
+schema.methods.generateToken = function (lifetime) {
+  const token = crypto.randomBytes(32).toString('base64url')
+
+  this.tokenHash = this.constructor.hash(token)
+  this.expire_at = Date.now() + lifetime
+
+  return token
+}
+
+/**
+ * Finds a pending and unexpired invitation matching a token.
+ *
+ * @param {string} token - The invitation token.
+ * @returns {Promise<Invitation>} The invitation, or null.
+ */
+schema.statics.findValid = async function (token) {
+  return this.findOne({
+    tokenHash: this.hash(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expire_at: { $gt: Date.now() }
+  })
+}
+
+/**
+ * Marks an invitation as accepted, unless it already has been.
+ *
+ * @param {string} id - The id of the invitation.
+ * @returns {Promise<Invitation>} The invitation, or null if it was already accepted or revoked.
+ */
+schema.statics.accept = async function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, acceptedAt: null, revokedAt: null },
+    { acceptedAt: Date.now() },
+    { new: true }
+  )
+}
+
+// Create a model using the schema.
+export const Invitation = mongoose.model('Invitation', schema)
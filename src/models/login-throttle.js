@@ -0,0 +1,249 @@
+/**
+ * Mongoose model LoginThrottle.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import ms from 'ms'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // What is throttled, "email:<address>" or "ip:<address>".
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // No login attempts are accepted before this time.
+  blockedUntil: {
+    type: Date
+  },
+  // True if the threshold was reached, false for progressive delays.
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Document is removed when the failures are forgotten.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+// How long an account is held while the outcome of an attempt is unknown.
+const ATTEMPT_HOLD = 10 * 1000
+
+/**
+ * Returns the throttle settings, configurable through the environment.
+ *
+ * @returns {object} The settings.
+ */
+const settings = () => ({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxFailuresPerIp: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 100,
+  lockout: ms(process.env.LOGIN_LOCKOUT || '15m'),
+  window: ms(process.env.LOGIN_FAILURE_WINDOW || '1h')
+})
+
+/**
+ * Returns the number of seconds until any of the keys accepts a login attempt.
+ *
+ * @param {string[]} keys - The keys to check.
+ * @returns {Promise<number>} Seconds to wait, 0 if attempts are accepted.
+ */
+schema.statics.retryAfter = async function (keys) {
+  const blocked = await this.find({ key: { $in: keys }, blockedUntil: { $gt: Date.now() } })
+  const until = Math.max(0, ...blocked.map(throttle => throttle.blockedUntil.getTime()))
+
+  return until ? Math.ceil((until - Date.now()) / 1000) : 0
+}
+
+/**
+ * Returns the number of failures after which a key is locked out.
+ *
+ * @param {string} key - The key.
+ * @param {object} config - The throttle settings.
+ * @returns {number} The threshold.
+ */
+const thresholdOf = (key, config) => key.startsWith('ip:') ? config.maxFailuresPerIp : config.maxFailures
+
+/**
+ * Reserves a login attempt, counting it as a failure until it is known to have succeeded.
+ *
+ * The check and the count are one atomic update per key, so a burst of
+ * parallel attempts cannot pass before the first failure is recorded. A key
+ * never gets more attempts than its threshold, and an account is held
+ * until the outcome of its attempt is known, so it gets one at a time.
+ * A rejected attempt leaves the keys as they were.
+ *
+ * @param {string[]} keys - The keys of the attempt.
+ * @returns {Promise<number>} Seconds to wait if the attempt is rejected, 0 if it may proceed.
+ */
+schema.statics.reserve = async function (keys) {
+  const blocked = await this.retryAfter(keys)
+  if (blocked) {
+    return blocked
+  }
+
+  const config = settings()
+  const now = Date.now()
+  const reserved = []
+
+  for (const key of keys) {
+    let result = null
+    try {
+      result = await this.findOneAndUpdate(
+        { key, failures: { $lt: thresholdOf(key, config) }, $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] },
+        {
+          $inc: { failures: 1 },
+          locked: false,
+          expire_at: now + config.window,
+          ...(key.startsWith('email:') && { blockedUntil: now + ATTEMPT_HOLD })
+        },
+        { upsert: true, rawResult: true }
+      )
+    } catch (err) {
+      // The key is blocked or has no attempts left, so the upsert collides with it.
+      if (err.code !== 11000) {
+        throw err
+      }
+    }
+
+    if (!result) {
+      await this.restore(reserved)
+      // Attempts in progress use up the threshold, their outcome is known within the hold.
+      return await this.retryAfter(keys) || Math.ceil(ATTEMPT_HOLD / 1000)
+    }
+
+    reserved.push({ key, previous: result.lastErrorObject.updatedExisting ? result.value : null })
+  }
+
+  return 0
+}
+
+/**
+ * Undoes the reservations of a rejected attempt, restoring the keys as they were.
+ *
+ * @param {object[]} reserved - The keys and the documents before they were reserved, null if created.
+ */
+schema.statics.restore = async function (reserved) {
+  for (const { key, previous } of reserved) {
+    if (!previous) {
+      await this.updateOne({ key }, { $inc: { failures: -1 } })
+      await this.deleteOne({ key, failures: { $lte: 0 } })
+      continue
+    }
+
+    await this.updateOne({ key }, {
+      $inc: { failures: -1 },
+      locked: previous.locked ?? false,
+      expire_at: previous.expire_at,
+      ...(previous.blockedUntil ? { blockedUntil: previous.blockedUntil } : { $unset: { blockedUntil: 1 } })
+    })
+  }
+}
+
+/**
+ * Releases a reserved attempt that neither failed nor completed a login,
+ * such as a correct password waiting for the second factor.
+ *
+ * @param {string[]} keys - The keys of the attempt.
+ */
+schema.statics.release = async function (keys) {
+  for (const key of keys) {
+    // The count starts over when a key is locked out, with attempts still in progress.
+    await this.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+    if (key.startsWith('email:')) {
+      await this.updateOne({ key, locked: false }, { $unset: { blockedUntil: 1 } })
+    }
+  }
+}
+
+/**
+ * Records that a reserved attempt failed, delaying or locking out the keys from their counts.
+ *
+ * Accounts are delayed progressively from the second failure, and both
+ * accounts and IP addresses are locked out when their threshold is reached.
+ * The count starts over with the lockout, so the key gets its attempts back
+ * when the lockout ends.
+ *
+ * @param {string[]} keys - The keys of the attempt.
+ */
+schema.statics.registerFailure = async function (keys) {
+  const config = settings()
+  const now = Date.now()
+
+  for (const key of keys) {
+    const throttle = await this.findOneAndUpdate({ key }, { lastFailureAt: now }, { new: true })
+    if (!throttle) {
+      continue
+    }
+
+    const { failures } = throttle
+    if (failures >= thresholdOf(key, config)) {
+      await this.updateOne({ key }, { failures: 0, blockedUntil: now + config.lockout, locked: true, expire_at: now + Math.max(config.window, config.lockout) })
+    } else if (key.startsWith('email:') && failures > 1) {
+      await this.updateOne({ key }, { blockedUntil: now + Math.min(1000 * 2 ** (failures - 2), 30000) })
+    } else if (key.startsWith('email:')) {
+      await this.updateOne({ key }, { $unset: { blockedUntil: 1 } })
+    }
+  }
+}
+
+/**
+ * Records that a reserved attempt succeeded, forgetting the failures of the account.
+ *
+ * @param {string[]} keys - The keys of the attempt.
+ */
+schema.statics.registerSuccess = async function (keys) {
+  for (const key of keys) {
+    if (key.startsWith('email:')) {
+      await this.clear(key)
+    } else {
+      await this.release([key])
+    }
+  }
+}
+
+/**
+ * Forgets the failures of a key.
+ *
+ * @param {string} key - The key to clear.
+ * @returns {Promise<object>} The delete result.
+ */
+schema.statics.clear = async function (key) {
+  return this.deleteOne({ key })
+}
+
+// Create a model using the schema.
+export const LoginThrottle = mongoose.model('LoginThrottle', schema)
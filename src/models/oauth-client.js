@@ -0,0 +1,158 @@
+/**
+ * Mongoose model OAuthClient.
+ *
+ * An application registered to sign users in through the OAuth 2.0 endpoints.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+export const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials']
+
+/**
+ * Checks that a redirect URI is absolute, without fragment, and uses https unless it points to localhost.
+ *
+ * Custom schemes are allowed for native apps.
+ *
+ * @param {string} uri - The redirect URI.
+ * @returns {boolean} True if the URI can be registered.
+ */
+const isValidRedirectUri = (uri) => {
+  try {
+    const url = new URL(uri)
+    if (url.hash) {
+      return false
+    }
+    if (url.protocol === 'http:') {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)
+    }
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Generates a client identifier.
+ *
+ * @returns {string} The client id.
+ */
+const generateClientId = () => crypto.randomBytes(16).toString('hex')
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: generateClientId
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required.'],
+    trim: true
+  },
+  // Public clients (single page and native apps) cannot keep a secret and must use PKCE.
+  type: {
+    type: String,
+    enum: ['public', 'confidential'],
+    default: 'confidential'
+  },
+  // Only a hash of the client secret is stored.
+  secretHash: {
+    type: String
+  },
+  redirectUris: {
+    type: [String],
+    validate: [uris => uris.every(isValidRedirectUri), 'Please provide valid redirect URIs.']
+  },
+  grants: {
+    type: [{ type: String, enum: GRANT_TYPES }],
+    default: ['authorization_code', 'refresh_token']
+  },
+  // The scopes the client may request.
+  scopes: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.secretHash
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+/**
+ * Hashes a client secret.
+ *
+ * @param {string} secret - The client secret.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex')
+}
+
+/**
+ * Generates a new client secret, replacing the previous one.
+ *
+ * @returns {string} The secret, only shown once.
+ */
+schema.methods.generateSecret = function () {
+  const secret = crypto.randomBytes(32).toString('base64url')
+  this.secretHash = this.constructor.hash(secret)
+
+  return secret
+}
+
+/**
+ * Verifies a client secret.
+ *
+ * @param {string} secret - The secret presented by the client.
+ * @returns {boolean} True if the secret is correct.
+ */
+schema.methods.verifySecret = function (secret) {
+  if (!this.secretHash || typeof secret !== 'string') {
+    return false
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(this.constructor.hash(secret), 'hex'),
+    Buffer.from(this.secretHash, 'hex')
+  )
+}
+
+/**
+ * Returns the requested scopes if the client may request all of them.
+ *
+ * @param {string} [scope] - Space separated scopes, defaults to every scope of the client.
+ * @returns {string[]} The scopes, or null if any of them is not allowed.
+ */
+schema.methods.allowedScopes = function (scope) {
+  if (!scope) {
+    return [...this.scopes]
+  }
+
+  const scopes = [...new Set(scope.toString().split(' ').filter(Boolean))]
+  return scopes.every(s => this.scopes.includes(s)) ? scopes : null
+}
+
+// Create a model using the schema.
+export const OAuthClient = mongoose.model('OAuthClient', schema)
@@ -0,0 +1,93 @@
+/**
+ * Mongoose model Passkey, a WebAuthn credential a user signs in with.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The base64url encoded credential id chosen by the authenticator.
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The COSE encoded public key.
+  publicKey: {
+    type: Buffer,
+    required: true
+  },
+  // The signature counter, a counter that does not increase reveals a cloned authenticator.
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: undefined
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'The nickname cannot be longer than 100 characters.'],
+    default: 'Passkey'
+  },
+  // Synced passkeys are multi-device and may be backed up.
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.publicKey
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+/**
+ * Returns the credential in the form used to verify authentication responses.
+ *
+ * @returns {object} The id, public key, counter and transports.
+ */
+schema.methods.toCredential = function () {
+  return {
+    id: this.credentialId,
+    publicKey: new Uint8Array(this.publicKey),
+    counter: this.counter,
+    transports: this.transports
+  }
+}
+
+// Create a model using the schema.
+export const Passkey = mongoose.model('Passkey', schema)
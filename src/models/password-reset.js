@@ -0,0 +1,99 @@
+/**
+ * Mongoose model PasswordReset.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // Only a hash of the token sent by email is stored.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set when the token is used. A token can only be used once.
+  usedAt: {
+    type: Date
+  },
+  // Document is removed when the token has expired.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Hashes a reset token.
+ *
+ * @param {string} token - The reset token.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Creates a reset token for a user, replacing any earlier token so only the latest link can be used.
+ *
+ * @param {string} user - The id of the user.
+ * @param {number} lifetime - The lifetime of the token in milliseconds.
+ * @returns {Promise<string>} The token to send to the user.
+ */
+schema.statics.issue = async function (user, lifetime) {
+  const token = crypto.randomBytes(32).toString('base64url')
+
+  await this.deleteMany({ user })
+  await this.create({
+    tokenHash: this.hash(token),
+    user,
+    expire_at: Date.now() + lifetime
+  })
+
+  return token
+}
+
+/**
+ * Finds an unused and unexpired reset matching a token.
+ *
+ * @param {string} token - The reset token.
+ * @returns {Promise<PasswordReset>} The reset, or null.
+ */
+schema.statics.findValid = async function (token) {
+  return this.findOne({
+    tokenHash: this.hash(token),
+    usedAt: null,
+    expire_at: { $gt: Date.now() }
+  })
+}
+
+/**
+ * Marks a reset as used, unless it already has been.
+ *
+ * @param {string} id - The id of the reset.
+ * @returns {Promise<PasswordReset>} The reset, or null if it was already used.
+ */
+schema.statics.consume = async function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, usedAt: null },
+    { usedAt: Date.now() },
+    { new: true }
+  )
+}
+
+// Create a model using the schema.
+export const PasswordReset = mongoose.model('PasswordReset', schema)
@@ -5,29 +5,46 @@
  * @version 2.3.1
  */
 
+import crypto from 'crypto'
 import mongoose from 'mongoose'
-import { add } from 'date-fns'
 
 // Create a schema.
 const schema = new mongoose.Schema({
-  token: {
-    type: String
+  // Only a hash of the token is stored.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'User',
+    required: true
   },
-  usedTokens: {
-    type: Array,
-    default: []
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenFamily',
+    required: true,
+    index: true
+  },
+  // The token this token was rotated from, and the token it was rotated into.
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
   },
-  // Set expriy date for token. Document is removed after 1 day.
+  // Set when the token is exchanged. A token can only be used once.
+  usedAt: {
+    type: Date
+  },
+  // Document is removed when the token has expired.
   expire_at: {
     type: Date,
-    default: add(Date.now(), { days: 1 }),
-    expires: 60
+    required: true
   }
-
 }, {
   timestamps: true,
   toJSON: {
@@ -40,6 +57,7 @@ const schema = new mongoose.Schema({
     transform: function (doc, ret) {
       delete ret._id
       delete ret.__v
+      delete ret.tokenHash
     },
     virtuals: true // ensure virtual fields are serialized
   }
@@ -49,7 +67,41 @@ schema.virtual('id').get(function () {
   return this._id.toHexString()
 })
 
-schema.index({ expire_at: 1 }, { expireAfterSeconds: 5 })
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Hashes a refresh token.
+ *
+ * @param {string} token - The refresh token.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Finds the stored refresh token matching a token.
+ *
+ * @param {string} token - The refresh token.
+ * @returns {Promise<RefreshToken>} The stored token, or null.
+ */
+schema.statics.findByToken = async function (token) {
+  return this.findOne({ tokenHash: this.hash(token) })
+}
+
+/**
+ * Marks a refresh token as used, unless it already has been.
+ *
+ * @param {string} id - The id of the token.
+ * @returns {Promise<RefreshToken>} The token, or null if it was already used.
+ */
+schema.statics.consume = async function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, usedAt: null },
+    { usedAt: Date.now() },
+    { new: true }
+  )
+}
 
 // Create a model using the schema.
 export const RefreshToken = mongoose.model('RefreshToken', schema)
@@ -0,0 +1,53 @@
+/**
+ * Mongoose model RevokedToken.
+ *
+ * The denylist of access tokens revoked before they expire.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // The jti claim of the revoked token.
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Document is removed when the token would have expired anyway.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Adds an access token to the denylist.
+ *
+ * @param {string} jti - The jti claim of the token.
+ * @param {number} exp - The exp claim of the token, in seconds.
+ * @returns {Promise<object>} The update result.
+ */
+schema.statics.revoke = async function (jti, exp) {
+  return this.updateOne({ jti }, { expire_at: new Date(exp * 1000) }, { upsert: true })
+}
+
+/**
+ * Returns true if an access token has been revoked.
+ *
+ * @param {string} jti - The jti claim of the token.
+ * @returns {Promise<boolean>} True if the token is on the denylist.
+ */
+schema.statics.isRevoked = async function (jti) {
+  return !!(await this.exists({ jti }))
+}
+
+// Create a model using the schema.
+export const RevokedToken = mongoose.model('RevokedToken', schema)
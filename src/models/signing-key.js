@@ -0,0 +1,61 @@
+/**
+ * Mongoose model SigningKey.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // Key id, set as the kid header of every token signed with the key.
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  privateKey: {
+    type: String,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // next: published but not yet signing, current: signing, previous: verify only.
+  status: {
+    type: String,
+    enum: ['next', 'current', 'previous'],
+    default: 'next'
+  },
+  promotedAt: {
+    type: Date
+  },
+  demotedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.privateKey
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+// Create a model using the schema.
+export const SigningKey = mongoose.model('SigningKey', schema)
@@ -0,0 +1,138 @@
+/**
+ * Mongoose model SsoLogin, a single sign-on attempt.
+ *
+ * The attempt is started when the user is sent to the identity provider
+ * and completed when the provider answers. The client then redeems the
+ * one-time code it was redirected with for tokens.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  identityProvider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IdentityProvider',
+    required: true
+  },
+  // Only hashes of the state and code are stored.
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // OpenID Connect, the nonce of the ID token and the PKCE code verifier.
+  nonce: {
+    type: String
+  },
+  codeVerifier: {
+    type: String
+  },
+  // SAML, the id of the AuthnRequest the response must answer.
+  requestId: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  codeHash: {
+    type: String,
+    index: { unique: true, sparse: true }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedAt: {
+    type: Date
+  },
+  // Document is removed when the attempt has expired.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Hashes a state or code.
+ *
+ * @param {string} value - The state or code.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hash = function (value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex')
+}
+
+/**
+ * Starts an attempt.
+ *
+ * @param {object} attempt - The identity provider, and the nonce, code verifier or request id.
+ * @param {number} lifetime - How long the user has to sign in, in milliseconds.
+ * @returns {Promise<string>} The state to send to the identity provider.
+ */
+schema.statics.start = async function (attempt, lifetime) {
+  const state = crypto.randomBytes(32).toString('base64url')
+
+  await this.create({
+    ...attempt,
+    stateHash: this.hash(state),
+    expire_at: Date.now() + lifetime
+  })
+
+  return state
+}
+
+/**
+ * Completes an attempt when the identity provider answers, once.
+ *
+ * @param {string} state - The state returned by the identity provider.
+ * @returns {Promise<SsoLogin>} The attempt, or null if it is unknown, expired or already completed.
+ */
+schema.statics.complete = async function (state) {
+  return this.findOneAndUpdate(
+    { stateHash: this.hash(state), completedAt: null, expire_at: { $gt: Date.now() } },
+    { completedAt: Date.now() },
+    { new: true }
+  )
+}
+
+/**
+ * Creates the one-time code for the user signed in by an attempt.
+ *
+ * @param {string} id - The id of the attempt.
+ * @param {string} user - The id of the user.
+ * @param {number} lifetime - The lifetime of the code in milliseconds.
+ * @returns {Promise<string>} The code to send to the client.
+ */
+schema.statics.issueCode = async function (id, user, lifetime) {
+  const code = crypto.randomBytes(32).toString('base64url')
+
+  await this.updateOne({ _id: id }, { codeHash: this.hash(code), user, expire_at: Date.now() + lifetime })
+
+  return code
+}
+
+/**
+ * Redeems a one-time code, once.
+ *
+ * @param {string} code - The code.
+ * @returns {Promise<SsoLogin>} The attempt, or null if the code is unknown, expired or already redeemed.
+ */
+schema.statics.redeem = async function (code) {
+  return this.findOneAndUpdate(
+    { codeHash: this.hash(code), redeemedAt: null, expire_at: { $gt: Date.now() } },
+    { redeemedAt: Date.now() },
+    { new: true }
+  )
+}
+
+// Create a model using the schema.
+export const SsoLogin = mongoose.model('SsoLogin', schema)
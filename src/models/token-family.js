@@ -0,0 +1,116 @@
+/**
+ * Mongoose model TokenFamily.
+ *
+ * A token family is started by a login and represents one signed in device (session).
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The device the family was started on, shown when listing sessions.
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'The label must be of maximum length 100 characters.']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Authentication methods used at login, e.g. pwd and otp.
+  amr: {
+    type: [String],
+    default: ['pwd']
+  },
+  // Set for sessions started through OAuth, the client the tokens are issued to and the scope it was granted.
+  clientId: {
+    type: String
+  },
+  scope: {
+    type: [String],
+    default: undefined
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokeReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'signout', 'admin', 'password-reset', 'email-change']
+  },
+  // Extended on every rotation. Document is removed when the last refresh token has expired.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Revokes a token family, invalidating every refresh token in it.
+ *
+ * @param {string} id - The id of the family to revoke.
+ * @param {string} reason - Why the family is revoked.
+ * @returns {Promise<TokenFamily>} The revoked family, or null if it was already revoked.
+ */
+schema.statics.revoke = async function (id, reason) {
+  return this.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { revokedAt: Date.now(), revokeReason: reason },
+    { new: true }
+  )
+}
+
+/**
+ * Revokes every active token family of a user.
+ *
+ * @param {string} user - The id of the user.
+ * @param {string} reason - Why the families are revoked.
+ * @param {string} [except] - The id of a family to keep, e.g. the current session.
+ * @returns {Promise<object>} The update result.
+ */
+schema.statics.revokeAll = async function (user, reason, except) {
+  const filter = { user, revokedAt: null }
+  if (except) {
+    filter._id = { $ne: except }
+  }
+
+  return this.updateMany(filter, { revokedAt: Date.now(), revokeReason: reason })
+}
+
+// Create a model using the schema.
+export const TokenFamily = mongoose.model('TokenFamily', schema)
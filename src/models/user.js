@@ -5,36 +5,39 @@
  * @version 2.3.1
  */
 
-import bcrypt from 'bcrypt'
+import crypto from 'crypto'
 import mongoose from 'mongoose'
 import validator from 'validator'
+import * as totp from '../utils/totp.js'
+import { ROLES } from '../config/roles.js'
+import { passwordPolicy } from '../utils/password-policy.js'
+import { hashPassword, verifyPassword, needsRehash } from '../utils/password-hash.js'
 
 const { isEmail } = validator
 
+// Compared against when no user or password is found, so response times do not reveal registered emails.
+let dummyHash
+
 // Create a schema.
 const schema = new mongoose.Schema({
   company: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
     required: [true, 'Company is required.'],
-    unique: true
+    index: true
   },
-  // Add this to make sorting case insensitive
-  companyNormalized: {
-    type: String
+  // Role within the company, company admins manage their colleagues.
+  companyRole: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
   },
+  // Set with setPassword, after checking the password policy.
   password: {
     type: String,
-    minLength: [10, 'The password must be of minimum length 10 characters.'],
-    maxLength: [256, 'The password must be of maximum length 256 characters.'],
     writeOnly: true,
-    required: [true, 'Password is required.']
-  },
-  orgNo: {
-    type: String,
-    unique: true,
-    required: [true, 'Organization number is required.'],
-    match: [/(\d{6}[-]\d{4})/, 'Please provide a valid organization number. ']
-
+    // Invited users choose their password when accepting the invitation, users signing in with single sign-on may have none.
+    required: [function () { return this.status !== 'invited' && !this.externalIdentities?.length }, 'Password is required.']
   },
   email: {
     type: String,
@@ -44,9 +47,74 @@ const schema = new mongoose.Schema({
     trim: true,
     validate: [isEmail, 'Please provide a valid email address.']
   },
-  admin: {
+  // The identities of the user at the identity providers of the company, for single sign-on.
+  externalIdentities: {
+    type: [{
+      _id: false,
+      provider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'IdentityProvider',
+        required: true
+      },
+      subject: {
+        type: String,
+        required: true
+      }
+    }],
+    default: undefined
+  },
+  // Hashes of the previous passwords, newest first, so they are not reused.
+  passwordHistory: {
+    type: [String],
+    default: undefined
+  },
+  // Invited users cannot sign in until they have accepted the invitation, deactivated users not until they are reactivated.
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'deactivated'],
+    default: 'active'
+  },
+  emailVerified: {
     type: Boolean,
     default: false
+  },
+  // New email address waiting to be confirmed.
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: [isEmail, 'Please provide a valid email address.']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: Object.keys(ROLES),
+      message: 'Please provide a valid role.'
+    },
+    default: 'customer'
+  },
+  // Two-factor authentication with TOTP.
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    // Secret waiting to be confirmed with a first code.
+    pendingSecret: {
+      type: String
+    },
+    // SHA-256 hashes of the unused recovery codes.
+    recoveryCodes: {
+      type: [String],
+      default: undefined
+    },
+    // Time step of the last accepted code, so a code can only be used once.
+    lastUsedStep: {
+      type: Number
+    }
   }
 }, {
   timestamps: true,
@@ -61,37 +129,146 @@ const schema = new mongoose.Schema({
       delete ret._id
       delete ret.__v
       delete ret.password
+      delete ret.passwordHistory
+      ret.mfa = { enabled: !!ret.mfa?.enabled }
     },
     virtuals: true // ensure virtual fields are serialized
   }
 })
 
+schema.index({ 'externalIdentities.provider': 1, 'externalIdentities.subject': 1 }, { sparse: true })
+
 schema.virtual('id').get(function () {
   return this._id.toHexString()
 })
 
+// The permissions given by the role.
+schema.virtual('permissions').get(function () {
+  return ROLES[this.role] ?? []
+})
+
 // Salts and hashes password before save.
 schema.pre('save', async function () {
-  this.password = await bcrypt.hash(this.password, 10)
+  if (this.isModified('password')) {
+    this.password = await hashPassword(this.password)
+  }
 })
 
 /**
  * Authenticates a user.
  *
+ * A password hash made with an older algorithm or parameters is replaced
+ * while the password is known.
+ *
  * @param {string} email - The email to authenticate.
  * @param {string} password - The password to authenticate.
  * @returns {Promise<User>} ...
  */
 schema.statics.authenticate = async function (email, password) {
   const user = await this.findOne({ email })
-  // If no user found or password is wrong, throw an error.
-  if (!(await bcrypt.compare(password, user?.password))) {
+  dummyHash ??= await hashPassword(crypto.randomBytes(32).toString('hex'))
+
+  // Users without a password, invited or signing in with single sign-on, are
+  // checked against the dummy hash too, so the response time is the same, but never accepted.
+  const verified = await verifyPassword(password, user?.password ?? dummyHash)
+  if (!verified || !user?.password) {
     throw new Error('Invalid credentials.')
   }
 
+  if (user.status !== 'active') {
+    throw new Error('The account is not active.')
+  }
+
+  if (needsRehash(user.password)) {
+    hashPassword(password)
+      .then(hash => this.updateOne({ _id: user._id, password: user.password }, { password: hash }))
+      .catch(err => console.error(err))
+  }
+
   // User found and password correct, return the user.
   return user
 }
 
+/**
+ * Sets a new password, keeping the hash of the previous one in the password history.
+ *
+ * The password must have been checked against the password policy.
+ *
+ * @param {string} password - The new password.
+ */
+schema.methods.setPassword = function (password) {
+  const { history } = passwordPolicy()
+
+  if (this.password && !this.isModified('password')) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory ?? [])].slice(0, Math.max(history - 1, 0))
+  }
+
+  this.password = password
+}
+
+/**
+ * Hashes a recovery code.
+ *
+ * @param {string} code - The recovery code, dashes and case are ignored.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+schema.statics.hashRecoveryCode = function (code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex')
+}
+
+/**
+ * Verifies a TOTP code or recovery code. Each code is accepted once.
+ *
+ * @param {string} code - The code to verify.
+ * @returns {Promise<boolean>} True if the code was accepted.
+ */
+schema.methods.verifyMfaCode = async function (code) {
+  if (!this.mfa?.enabled || typeof code !== 'string') {
+    return false
+  }
+
+  const step = totp.verify(this.mfa.secret, code)
+  if (step !== null) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+      { 'mfa.lastUsedStep': step }
+    )
+    return modifiedCount === 1
+  }
+
+  // Recovery codes are removed when used.
+  const hash = this.constructor.hashRecoveryCode(code)
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'mfa.recoveryCodes': hash },
+    { $pull: { 'mfa.recoveryCodes': hash } }
+  )
+  return modifiedCount === 1
+}
+
+/**
+ * Returns true if the user has a permission.
+ *
+ * @param {string} permission - The permission, e.g. users:read.
+ * @returns {boolean} True if the role gives the permission.
+ */
+schema.methods.can = function (permission) {
+  return this.permissions.includes(permission)
+}
+
+/**
+ * Returns true if the user must use two-factor authentication.
+ *
+ * Staff accounts, every role with permissions, are forced into two-factor
+ * authentication when MFA_REQUIRED_FOR_ADMINS is "true".
+ *
+ * @returns {boolean} True if two-factor authentication is required.
+ */
+schema.methods.isMfaRequired = function () {
+  return this.permissions.length > 0 && process.env.MFA_REQUIRED_FOR_ADMINS === 'true'
+}
+
 // Create a model using the schema.
 export const User = mongoose.model('User', schema)
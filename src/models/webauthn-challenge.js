@@ -0,0 +1,57 @@
+/**
+ * Mongoose model WebAuthnChallenge, a challenge waiting for a WebAuthn response.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  // The base64url encoded challenge.
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // The user registering a passkey, unknown when signing in.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Document is removed when the challenge has expired.
+  expire_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Uses up an unexpired challenge, so each challenge is answered once.
+ *
+ * @param {string} challenge - The challenge from the client data of the response.
+ * @param {string} type - registration or authentication.
+ * @param {string} [user] - The id of the user, for registrations.
+ * @returns {Promise<WebAuthnChallenge>} The challenge, or null if it is unknown, expired or used.
+ */
+schema.statics.consume = async function (challenge, type, user) {
+  return this.findOneAndDelete({
+    challenge: String(challenge),
+    type,
+    ...(user && { user }),
+    expire_at: { $gt: Date.now() }
+  })
+}
+
+// Create a model using the schema.
+export const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', schema)
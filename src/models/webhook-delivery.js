@@ -0,0 +1,176 @@
+/**
+ * Mongoose model WebhookDelivery.
+ *
+ * The outbox of webhook events: an event is stored for every subscribed
+ * endpoint and sent until the endpoint accepts it or the attempts run out.
+ * Every attempt is kept, so the deliveries double as the delivery log.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import ms from 'ms'
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  // The id of the event, the same for every endpoint and redelivery so receivers can skip duplicates.
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // The body sent to the endpoint.
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  // Failed attempts since the event was last queued.
+  retries: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while an attempt is in progress, so no other process sends it at the same time.
+  lockedUntil: {
+    type: Date
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    // The HTTP status of the response, missing if no response was received.
+    statusCode: Number,
+    error: String,
+    // Milliseconds until the endpoint answered.
+    duration: Number
+  }],
+  deliveredAt: {
+    type: Date
+  },
+  // Document is removed when a finished delivery is no longer kept in the log.
+  expire_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.lockedUntil
+      delete ret.expire_at
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.index({ status: 1, nextAttemptAt: 1 })
+schema.index({ endpoint: 1, _id: -1 })
+schema.index({ expire_at: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Returns the retry settings, configurable through the environment.
+ *
+ * @returns {object} The settings.
+ */
+const settings = () => ({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+  retryDelay: ms(process.env.WEBHOOK_RETRY_DELAY || '30s'),
+  retention: ms(process.env.WEBHOOK_DELIVERY_RETENTION || '30d')
+})
+
+/**
+ * Takes the pending delivery that has waited longest for its next attempt.
+ *
+ * @param {number} lease - How long the delivery is locked for the attempt, in milliseconds.
+ * @returns {Promise<WebhookDelivery>} The delivery, or null if none is due.
+ */
+schema.statics.claimNext = async function (lease) {
+  const now = Date.now()
+
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: now + lease },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  )
+}
+
+/**
+ * Records an attempt, scheduling the next one with exponential backoff if it failed.
+ *
+ * @param {object} attempt - The outcome of the attempt.
+ * @param {number} [attempt.statusCode] - The HTTP status of the response.
+ * @param {string} [attempt.error] - Why the attempt failed.
+ * @param {number} attempt.duration - Milliseconds until the endpoint answered.
+ * @returns {Promise<WebhookDelivery>} The saved delivery.
+ */
+schema.methods.recordAttempt = async function ({ statusCode, error, duration }) {
+  const { maxAttempts, retryDelay, retention } = settings()
+  const now = Date.now()
+
+  this.attempts.push({ at: now, statusCode, error, duration })
+  this.lockedUntil = undefined
+
+  if (!error && statusCode >= 200 && statusCode < 300) {
+    this.status = 'delivered'
+    this.deliveredAt = now
+  } else if (++this.retries >= maxAttempts) {
+    this.status = 'failed'
+  } else {
+    this.nextAttemptAt = now + retryDelay * 2 ** (this.retries - 1)
+  }
+
+  if (this.status !== 'pending') {
+    this.expire_at = now + retention
+  }
+
+  return this.save()
+}
+
+/**
+ * Queues the event to be sent again, keeping the earlier attempts in the log.
+ *
+ * @returns {Promise<WebhookDelivery>} The saved delivery.
+ */
+schema.methods.redeliver = async function () {
+  this.status = 'pending'
+  this.retries = 0
+  this.nextAttemptAt = Date.now()
+  this.lockedUntil = undefined
+  this.expire_at = undefined
+
+  return this.save()
+}
+
+// Create a model using the schema.
+export const WebhookDelivery = mongoose.model('WebhookDelivery', schema)
@@ -0,0 +1,101 @@
+/**
+ * Mongoose model WebhookEndpoint.
+ *
+ * An endpoint of another service, such as billing or CRM, that is sent the
+ * events it subscribes to.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import validator from 'validator'
+import { WEBHOOK_EVENTS } from '../config/webhooks.js'
+
+// Prefix of every secret, makes leaked secrets easy to recognize.
+const SECRET_PREFIX = 'whsec_'
+
+/**
+ * Returns true if a value is an http or https URL.
+ *
+ * @param {string} url - The URL.
+ * @returns {boolean} True if the URL is valid.
+ */
+const isUrl = (url) => validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+
+// Create a schema.
+const schema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required.'],
+    trim: true,
+    maxLength: [2000, 'The URL must be of maximum length 2000 characters.'],
+    validate: [isUrl, 'Please provide a valid http or https URL.']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'The description must be of maximum length 200 characters.']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: undefined
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // The deliveries are signed with the secret, so it is stored as is.
+  secret: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    /**
+     * Performs a transformation of the resulting object to remove sensitive information.
+     *
+     * @param {object} doc - The mongoose document which is being converted.
+     * @param {object} ret - The plain object representation which has been converted.
+     */
+    transform: function (doc, ret) {
+      delete ret._id
+      delete ret.__v
+      delete ret.secret
+    },
+    virtuals: true // ensure virtual fields are serialized
+  }
+})
+
+schema.virtual('id').get(function () {
+  return this._id.toHexString()
+})
+
+schema.index({ events: 1, enabled: 1 })
+
+// An endpoint subscribes to at least one event.
+schema.pre('validate', function () {
+  if (!this.events?.length) {
+    this.invalidate('events', 'At least one event is required.')
+  }
+})
+
+/**
+ * Generates a new signing secret, only shown to the admin when it is generated.
+ *
+ * @returns {string} The secret.
+ */
+schema.methods.generateSecret = function () {
+  this.secret = SECRET_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+  return this.secret
+}
+
+// Create a model using the schema.
+export const WebhookEndpoint = mongoose.model('WebhookEndpoint', schema)
@@ -6,59 +6,101 @@
  */
 
 import express from 'express'
-import jwt from 'jsonwebtoken'
 import createError from 'http-errors'
 import { AccountController } from '../../../controllers/api/account-controller.js'
+import { SessionsController } from '../../../controllers/api/sessions-controller.js'
+import { MfaController } from '../../../controllers/api/mfa-controller.js'
+import { PasswordController } from '../../../controllers/api/password-controller.js'
+import { EmailController } from '../../../controllers/api/email-controller.js'
+import { CompanyController } from '../../../controllers/api/company-controller.js'
+import { ApiKeysController } from '../../../controllers/api/api-keys-controller.js'
+import { PasskeysController } from '../../../controllers/api/passkeys-controller.js'
+import { authenticate } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import * as schemas from '../../../schemas/account.js'
 
 export const router = express.Router()
 
 const controller = new AccountController()
+const sessionsController = new SessionsController()
+const mfaController = new MfaController()
+const passwordController = new PasswordController()
+const emailController = new EmailController()
+const companyController = new CompanyController()
+const apiKeysController = new ApiKeysController()
+const passkeysController = new PasskeysController()
 
 /**
- * Authenticates requests.
+ * Authenticates requests to the account routes.
  *
- * If authentication is successful, `req.user`is populated and the
+ * If authentication is successful, `req.user` is populated and the
  * request is authorized to continue.
- * If authentication fails, an unauthorized response will be sent.
+ *
+ * Integrations authenticate with an API key, which needs the account:read
+ * scope for GET requests and account:write for the rest. Access tokens
+ * issued to OAuth clients are refused.
+ */
+const authenticateJWT = authenticate((req, payload, apiKey) => {
+  if (apiKey) {
+    const scope = ['GET', 'HEAD'].includes(req.method) ? 'account:read' : 'account:write'
+    if (!apiKey.scopes.includes(scope)) {
+      throw createError(403, `The API key does not have the ${scope} scope.`)
+    }
+  }
+
+  // Tokens issued to OAuth clients only give access to the claims of their scope.
+  if (payload.client_id) {
+    throw createError(403, 'Access tokens issued to OAuth clients cannot manage the account.')
+  }
+
+  req.user = {
+    sub: payload.sub,
+    sid: payload.sid,
+    org: payload.org,
+    orgRole: payload.org_role,
+    apiKey: apiKey?.id,
+    // Set when staff act as the user.
+    act: payload.act,
+    jti: payload.jti,
+    exp: payload.exp
+  }
+})
+
+/**
+ * Authorizes users.
+ *
+ * Checks if user has right/access to access the specific user.
  *
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {Function} next - Express next middleware function.
  */
-const authenticateJWT = (req, res, next) => {
+const authorizeUser = (req, res, next) => {
   try {
-    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
-
-    if (authenticationScheme !== 'Bearer') {
-      throw new Error('Invalid authentication scheme.')
+    if (req.user.sub !== req.params.id) {
+      throw new Error('No right to access.')
     }
 
-    // Set properties to req.user from JWT payload
-    const payload = jwt.verify(token, Buffer.from(process.env.ACCESS_TOKEN_PUB, 'base64').toString('ascii'))
-    req.user = {
-      sub: payload.sub
-    }
     next()
   } catch (err) {
-    const error = createError(401)
-    err.message = 'Invalid access token'
+    const error = createError(403)
     error.cause = err
     next(error)
   }
 }
 
 /**
- * Authorizes users.
+ * Authorizes company admins.
  *
- * Checks if user has right/access to access the specific user.
+ * Checks if user is admin of the company and has right/access to manage its users.
  *
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {Function} next - Express next middleware function.
  */
-const authorizeUser = (req, res, next) => {
+const authorizeCompanyAdmin = (req, res, next) => {
   try {
-    if (req.user.sub !== req.params.id) {
+    if (req.user.orgRole !== 'admin') {
       throw new Error('No right to access.')
     }
 
@@ -70,17 +112,225 @@ const authorizeUser = (req, res, next) => {
   }
 }
 
+/**
+ * Rejects requests authenticated with an API key or an impersonation token.
+ *
+ * Credentials, sessions, API keys and colleagues can only be managed by a
+ * signed in user, never by staff acting as the user.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+const requireSession = (req, res, next) => {
+  if (req.user.apiKey) {
+    next(createError(403, 'Not available when authenticated with an API key.'))
+    return
+  }
+
+  if (req.user.act) {
+    next(createError(403, 'Not available while impersonating the user.'))
+    return
+  }
+
+  next()
+}
+
 // Provide req.user to the route if :id is present in the route path.
 router.param('id', (req, res, next, id) => controller.loadUser(req, res, next, id))
 
+// Provide req.member to the route if :memberId is present in the route path.
+router.param('memberId', (req, res, next, id) => companyController.loadMember(req, res, next, id))
+
+// Provide req.userSession to the route if :sessionId is present in the route path.
+router.param('sessionId', (req, res, next, id) => sessionsController.loadSession(req, res, next, id))
+
+// Provide req.apiKey to the route if :apiKeyId is present in the route path.
+router.param('apiKeyId', (req, res, next, id) => apiKeysController.loadApiKey(req, res, next, id))
+
+// Provide req.passkey to the route if :passkeyId is present in the route path.
+router.param('passkeyId', (req, res, next, id) => passkeysController.loadPasskey(req, res, next, id))
+
 // Log in
-router.post('/login', (req, res, next) => controller.login(req, res, next))
+router.post('/login', validate(schemas.login), (req, res, next) => controller.login(req, res, next))
+
+// Log in, second step for users with two-factor authentication
+router.post('/login/mfa', validate(schemas.loginMfa), (req, res, next) => controller.loginMfa(req, res, next))
+
+// POST login/passkey/options, the challenge for signing in with a passkey
+router.post('/login/passkey/options', (req, res, next) => controller.passkeyLoginOptions(req, res, next))
+
+// Log in with a passkey
+router.post('/login/passkey', validate(schemas.loginPasskey), (req, res, next) => controller.loginPasskey(req, res, next))
+
+// Log in with the one-time code of a single sign-on
+router.post('/login/sso', validate(schemas.loginSso), (req, res, next) => controller.loginSso(req, res, next))
 
 // Refresh token
-router.post('/refresh', (req, res, next) => controller.refreshToken(req, res, next))
+router.post('/refresh', validate(schemas.refresh), (req, res, next) => controller.refreshToken(req, res, next))
 
 // Log out
-router.post('/logout', (req, res, next) => controller.logout(req, res, next))
+router.post('/logout', validate(schemas.logout), (req, res, next) => controller.logout(req, res, next))
+
+// DELETE impersonation, ends an impersonation by revoking its access token
+router.delete('/impersonation',
+  authenticateJWT,
+  (req, res, next) => controller.endImpersonation(req, res, next)
+)
+
+// POST password/forgot, emails a reset link
+router.post('/password/forgot', validate(schemas.forgotPassword), (req, res, next) => passwordController.forgot(req, res, next))
+
+// POST password/reset
+router.post('/password/reset', validate(schemas.resetPassword), (req, res, next) => passwordController.reset(req, res, next))
+
+// POST email/verify
+router.post('/email/verify', (req, res, next) => emailController.verify(req, res, next))
+
+// POST email/verify/resend
+router.post('/email/verify/resend',
+  authenticateJWT,
+  (req, res, next) => emailController.resendVerification(req, res, next)
+)
+
+// POST email/change/confirm, from the link sent to the new address
+router.post('/email/change/confirm', (req, res, next) => emailController.confirmChange(req, res, next))
+
+// POST email/change/cancel, from the link sent to the previous address
+router.post('/email/change/cancel', (req, res, next) => emailController.cancelChange(req, res, next))
+
+// POST mfa/totp, starts enrollment
+router.post('/mfa/totp',
+  authenticateJWT, requireSession,
+  (req, res, next) => mfaController.enroll(req, res, next)
+)
+
+// POST mfa/totp/confirm
+router.post('/mfa/totp/confirm',
+  authenticateJWT, requireSession,
+  (req, res, next) => mfaController.confirm(req, res, next)
+)
+
+// DELETE mfa/totp
+router.delete('/mfa/totp',
+  authenticateJWT, requireSession,
+  (req, res, next) => mfaController.disable(req, res, next)
+)
+
+// POST mfa/recovery-codes
+router.post('/mfa/recovery-codes',
+  authenticateJWT, requireSession,
+  (req, res, next) => mfaController.regenerateRecoveryCodes(req, res, next)
+)
+
+// GET sessions
+router.get('/sessions',
+  authenticateJWT, requireSession,
+  (req, res, next) => sessionsController.findAll(req, res, next)
+)
+
+// DELETE sessions, signs out every session except the current one
+router.delete('/sessions',
+  authenticateJWT, requireSession,
+  (req, res, next) => sessionsController.revokeAll(req, res, next)
+)
+
+// PATCH sessions/:sessionId
+router.patch('/sessions/:sessionId',
+  authenticateJWT, requireSession,
+  (req, res, next) => sessionsController.authorizeSession(req, res, next),
+  (req, res, next) => sessionsController.update(req, res, next)
+)
+
+// DELETE sessions/:sessionId
+router.delete('/sessions/:sessionId',
+  authenticateJWT, requireSession,
+  (req, res, next) => sessionsController.authorizeSession(req, res, next),
+  (req, res, next) => sessionsController.revoke(req, res, next)
+)
+
+// GET company
+router.get('/company',
+  authenticateJWT,
+  (req, res, next) => companyController.find(req, res, next)
+)
+
+// GET company/members
+router.get('/company/members',
+  authenticateJWT,
+  (req, res, next) => companyController.findMembers(req, res, next)
+)
+
+// POST company/members, invites a colleague
+router.post('/company/members',
+  authenticateJWT, requireSession, authorizeCompanyAdmin, validate(schemas.inviteMember),
+  (req, res, next) => companyController.invite(req, res, next)
+)
+
+// PATCH company/members/:memberId
+router.patch('/company/members/:memberId',
+  authenticateJWT, requireSession, authorizeCompanyAdmin, validate(schemas.updateMember),
+  (req, res, next) => companyController.authorizeMember(req, res, next),
+  (req, res, next) => companyController.updateMember(req, res, next)
+)
+
+// DELETE company/members/:memberId
+router.delete('/company/members/:memberId',
+  authenticateJWT, requireSession, authorizeCompanyAdmin,
+  (req, res, next) => companyController.authorizeMember(req, res, next),
+  (req, res, next) => companyController.removeMember(req, res, next)
+)
+
+// GET api-keys
+router.get('/api-keys',
+  authenticateJWT, requireSession,
+  (req, res, next) => apiKeysController.findAll(req, res, next)
+)
+
+// POST api-keys, the key is only shown in the response
+router.post('/api-keys',
+  authenticateJWT, requireSession,
+  (req, res, next) => apiKeysController.create(req, res, next)
+)
+
+// PATCH api-keys/:apiKeyId
+router.patch('/api-keys/:apiKeyId',
+  authenticateJWT, requireSession,
+  (req, res, next) => apiKeysController.authorizeApiKey(req, res, next),
+  (req, res, next) => apiKeysController.update(req, res, next)
+)
+
+// DELETE api-keys/:apiKeyId
+router.delete('/api-keys/:apiKeyId',
+  authenticateJWT, requireSession,
+  (req, res, next) => apiKeysController.authorizeApiKey(req, res, next),
+  (req, res, next) => apiKeysController.remove(req, res, next)
+)
+
+// GET passkeys
+router.get('/passkeys',
+  authenticateJWT, requireSession,
+  (req, res, next) => passkeysController.findAll(req, res, next)
+)
+
+// POST passkeys/options, the challenge for registering a passkey
+router.post('/passkeys/options',
+  authenticateJWT, requireSession,
+  (req, res, next) => passkeysController.registrationOptions(req, res, next)
+)
+
+// POST passkeys
+router.post('/passkeys',
+  authenticateJWT, requireSession, validate(schemas.registerPasskey),
+  (req, res, next) => passkeysController.register(req, res, next)
+)
+
+// DELETE passkeys/:passkeyId
+router.delete('/passkeys/:passkeyId',
+  authenticateJWT, requireSession,
+  (req, res, next) => passkeysController.authorizePasskey(req, res, next),
+  (req, res, next) => passkeysController.remove(req, res, next)
+)
 
 // GET user/:id
 router.get('/user/:id',
@@ -90,12 +340,12 @@ router.get('/user/:id',
 
 // PATCH password/:id
 router.patch('/password/:id',
-  authenticateJWT, authorizeUser,
+  authenticateJWT, requireSession, authorizeUser, validate(schemas.updatePassword),
   (req, res, next) => controller.updatePassword(req, res, next)
 )
 
 // PATCH /:id
 router.patch('/:id',
-  authenticateJWT, authorizeUser,
+  authenticateJWT, requireSession, authorizeUser, validate(schemas.updateCredentials),
   (req, res, next) => controller.updateCredentials(req, res, next)
 )
@@ -0,0 +1,20 @@
+/**
+ * Audit routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { AuditController } from '../../../controllers/api/audit-controller.js'
+import { authenticateJWT, authorize } from '../../../middleware/auth.js'
+
+export const router = express.Router()
+
+const controller = new AuditController()
+
+// GET audit
+router.get('/', authenticateJWT, authorize('audit:read'), (req, res, next) => controller.findAll(req, res, next))
+
+// GET audit/export, every matching event as NDJSON
+router.get('/export', authenticateJWT, authorize('audit:read'), (req, res, next) => controller.export(req, res, next))
@@ -0,0 +1,31 @@
+/**
+ * Invitations routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { InvitationsController } from '../../../controllers/api/invitations-controller.js'
+import { authenticateJWT, authorize } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import { acceptInvitation } from '../../../schemas/account.js'
+
+export const router = express.Router()
+
+const controller = new InvitationsController()
+
+// Provide req.invitation to the route if :invitationId is present in the route path.
+router.param('invitationId', (req, res, next, id) => controller.loadInvitation(req, res, next, id))
+
+// GET invitations, the pending invitations
+router.get('/', authenticateJWT, authorize('users:write'), (req, res, next) => controller.findAll(req, res, next))
+
+// POST invitations/:token/accept, the invited user chooses a password
+router.post('/:token/accept', validate(acceptInvitation), (req, res, next) => controller.accept(req, res, next))
+
+// POST invitations/:invitationId/resend
+router.post('/:invitationId/resend', authenticateJWT, authorize('users:write'), (req, res, next) => controller.resend(req, res, next))
+
+// DELETE invitations/:invitationId
+router.delete('/:invitationId', authenticateJWT, authorize('users:write'), (req, res, next) => controller.revoke(req, res, next))
@@ -8,9 +8,15 @@
 import express from 'express'
 import { router as accountRouter } from './account-router.js'
 import { router as usersRouter } from './users-router.js'
+import { router as auditRouter } from './audit-router.js'
+import { router as invitationsRouter } from './invitations-router.js'
+import { router as webhooksRouter } from './webhooks-router.js'
 
 export const router = express.Router()
 
 router.get('/', (req, res) => res.json({ message: 'auth API' }))
 router.use('/users', usersRouter)
+router.use('/audit', auditRouter)
+router.use('/invitations', invitationsRouter)
+router.use('/webhooks', webhooksRouter)
 router.use('/', accountRouter)
@@ -6,81 +6,109 @@
  */
 
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import createError from 'http-errors'
 import { UsersController } from '../../../controllers/api/users-controller.js'
+import { SessionsController } from '../../../controllers/api/sessions-controller.js'
+import { LockoutsController } from '../../../controllers/api/lockouts-controller.js'
+import { authenticateJWT, authorize } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import * as schemas from '../../../schemas/users.js'
 
-/**
- * Authenticates requests.
- *
- * If authentication is successful, `req.user`is populated and the
- * request is authorized to continue.
- * If authentication fails, an unauthorized response will be sent.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
- */
-const authenticateJWT = (req, res, next) => {
-  try {
-    const [authenticationScheme, token] = req.headers.authorization?.split(' ')
-
-    if (authenticationScheme !== 'Bearer') {
-      throw new Error('Invalid authentication scheme.')
-    }
-
-    // Set properties to req.user from JWT payload
-    const payload = jwt.verify(token, Buffer.from(process.env.ACCESS_TOKEN_PUB, 'base64').toString('ascii'))
-    req.admin = {
-      sub: payload.sub,
-      admin: payload.admin
-    }
-
-    next()
-  } catch (err) {
-    const error = createError(401)
-    error.cause = err
-    next(error)
-  }
-}
-
-/**
- * Authorizes admin users.
- *
- * Checks if user is admin and has right/access to access users.
- *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {Function} next - Express next middleware function.
- */
-const authorizeAdmin = (req, res, next) => {
-  try {
-    if (!req.admin.admin) {
-      throw new Error('No right to access.')
-    }
-
-    next()
-  } catch (err) {
-    const error = createError(403)
-    error.cause = err
-    next(error)
-  }
-}
 export const router = express.Router()
 
 const controller = new UsersController()
+const sessionsController = new SessionsController()
+const lockoutsController = new LockoutsController()
 
 // Provide req.user to the route if :id is present in the route path.
 router.param('id', (req, res, next, id) => controller.loadUser(req, res, next, id))
 
-router.get('/', authenticateJWT, authorizeAdmin, (req, res, next) => controller.getAll(req, res, next))
+// Provide req.userSession to the route if :sessionId is present in the route path.
+router.param('sessionId', (req, res, next, id) => sessionsController.loadSession(req, res, next, id))
 
-router.post('/register', authenticateJWT, authorizeAdmin, (req, res, next) => controller.register(req, res, next))
+router.get('/', authenticateJWT, authorize('users:read'), validate(schemas.query), (req, res, next) => controller.getAll(req, res, next))
 
-router.patch('/password/reset', authenticateJWT, authorizeAdmin, (req, res, next) => controller.resetPassword(req, res, next))
+router.post('/register', authenticateJWT, authorize('users:write'), validate(schemas.register), (req, res, next) => controller.register(req, res, next))
+
+router.patch('/password/reset', authenticateJWT, authorize('users:reset-password'), validate(schemas.resetPassword), (req, res, next) => controller.resetPassword(req, res, next))
+
+// GET users/password-hashes, how many accounts still use legacy password hashes
+router.get('/password-hashes', authenticateJWT, authorize('users:read'), (req, res, next) => controller.passwordHashReport(req, res, next))
+
+// GET users/lockouts, accounts and IP addresses blocked from logging in
+router.get('/lockouts', authenticateJWT, authorize('users:read'), (req, res, next) => lockoutsController.findAll(req, res, next))
+
+// DELETE users/lockouts/:lockoutId
+router.delete('/lockouts/:lockoutId', authenticateJWT, authorize('users:lockouts'), (req, res, next) => lockoutsController.clear(req, res, next))
 
 // GET users/:id
 router.get('/:id',
-  authenticateJWT, authorizeAdmin,
+  authenticateJWT, authorize('users:read'),
   (req, res, next) => controller.find(req, res, next)
 )
+
+// PATCH users/:id
+router.patch('/:id',
+  authenticateJWT, authorize('users:write'),
+  (req, res, next) => controller.authorizeUser(req, res, next),
+  validate(schemas.update),
+  (req, res, next) => controller.update(req, res, next)
+)
+
+// DELETE users/:id
+router.delete('/:id',
+  authenticateJWT, authorize('users:delete'),
+  (req, res, next) => controller.authorizeUser(req, res, next),
+  (req, res, next) => controller.remove(req, res, next)
+)
+
+// POST users/:id/deactivate
+router.post('/:id/deactivate',
+  authenticateJWT, authorize('users:write'),
+  (req, res, next) => controller.authorizeUser(req, res, next),
+  (req, res, next) => controller.deactivate(req, res, next)
+)
+
+// POST users/:id/reactivate
+router.post('/:id/reactivate',
+  authenticateJWT, authorize('users:write'),
+  (req, res, next) => controller.authorizeUser(req, res, next),
+  (req, res, next) => controller.reactivate(req, res, next)
+)
+
+// POST users/:id/impersonate, issues an access token to act as the customer
+router.post('/:id/impersonate',
+  authenticateJWT, authorize('users:impersonate'),
+  (req, res, next) => controller.authorizeUser(req, res, next),
+  (req, res, next) => controller.impersonate(req, res, next)
+)
+
+// GET users/:id/sessions
+router.get('/:id/sessions',
+  authenticateJWT, authorize('users:read'),
+  (req, res, next) => sessionsController.findAll(req, res, next)
+)
+
+// DELETE users/:id/sessions
+router.delete('/:id/sessions',
+  authenticateJWT, authorize('users:sessions'),
+  (req, res, next) => sessionsController.revokeAll(req, res, next)
+)
+
+// DELETE users/:id/sessions/:sessionId
+router.delete('/:id/sessions/:sessionId',
+  authenticateJWT, authorize('users:sessions'),
+  (req, res, next) => sessionsController.authorizeSession(req, res, next),
+  (req, res, next) => sessionsController.revoke(req, res, next)
+)
+
+// GET users/:id/lockout
+router.get('/:id/lockout',
+  authenticateJWT, authorize('users:read'),
+  (req, res, next) => lockoutsController.findForUser(req, res, next)
+)
+
+// DELETE users/:id/lockout
+router.delete('/:id/lockout',
+  authenticateJWT, authorize('users:lockouts'),
+  (req, res, next) => lockoutsController.clearForUser(req, res, next)
+)
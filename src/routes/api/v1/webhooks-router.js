@@ -0,0 +1,52 @@
+/**
+ * Webhooks routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { WebhooksController } from '../../../controllers/api/webhooks-controller.js'
+import { authenticateJWT, authorize } from '../../../middleware/auth.js'
+import { validate } from '../../../middleware/validate.js'
+import * as schemas from '../../../schemas/webhooks.js'
+
+export const router = express.Router()
+
+const controller = new WebhooksController()
+
+// Every route manages webhooks, authorize before anything is loaded.
+router.use(authenticateJWT, authorize('webhooks:manage'))
+
+// Provide req.webhook to the route if :webhookId is present in the route path.
+router.param('webhookId', (req, res, next, id) => controller.loadWebhook(req, res, next, id))
+
+// Provide req.delivery to the route if :deliveryId is present in the route path.
+router.param('deliveryId', (req, res, next, id) => controller.loadDelivery(req, res, next, id))
+
+// GET webhooks
+router.get('/', (req, res, next) => controller.findAll(req, res, next))
+
+// POST webhooks, the signing secret is only shown in the response
+router.post('/', validate(schemas.create), (req, res, next) => controller.create(req, res, next))
+
+// GET webhooks/:webhookId
+router.get('/:webhookId', (req, res, next) => controller.find(req, res, next))
+
+// PATCH webhooks/:webhookId
+router.patch('/:webhookId', validate(schemas.update), (req, res, next) => controller.update(req, res, next))
+
+// DELETE webhooks/:webhookId
+router.delete('/:webhookId', (req, res, next) => controller.remove(req, res, next))
+
+// POST webhooks/:webhookId/secret, replaces the signing secret
+router.post('/:webhookId/secret', (req, res, next) => controller.rotateSecret(req, res, next))
+
+// GET webhooks/:webhookId/deliveries, the delivery log
+router.get('/:webhookId/deliveries', validate(schemas.deliveries), (req, res, next) => controller.findDeliveries(req, res, next))
+
+// GET webhooks/:webhookId/deliveries/:deliveryId
+router.get('/:webhookId/deliveries/:deliveryId', (req, res, next) => controller.findDelivery(req, res, next))
+
+// POST webhooks/:webhookId/deliveries/:deliveryId/redeliver
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', (req, res, next) => controller.redeliver(req, res, next))
@@ -0,0 +1,58 @@
+/**
+ * OAuth 2.0 routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { OAuthController } from '../controllers/oauth-controller.js'
+
+export const router = express.Router()
+
+const controller = new OAuthController()
+
+// The sign in form and token requests are form encoded.
+router.use(express.urlencoded({ extended: false }))
+
+// GET oauth/authorize, the sign in and consent page
+router.get('/authorize', (req, res, next) => controller.authorize(req, res, next))
+
+// POST oauth/authorize, the submitted sign in and consent form
+router.post('/authorize', (req, res, next) => controller.approve(req, res, next))
+
+// POST oauth/token
+router.post('/token', (req, res, next) => controller.token(req, res, next))
+
+// POST oauth/introspect, for resource servers
+router.post('/introspect', (req, res, next) => controller.introspect(req, res, next))
+
+// POST oauth/revoke
+router.post('/revoke', (req, res, next) => controller.revoke(req, res, next))
+
+// GET oauth/userinfo
+router.get('/userinfo', (req, res, next) => controller.userinfo(req, res, next))
+
+// POST oauth/userinfo
+router.post('/userinfo', (req, res, next) => controller.userinfo(req, res, next))
+
+// Answer OAuth errors in the format of RFC 6749, other errors go to the error handler.
+router.use((err, req, res, next) => {
+  if (!err.oauthError) {
+    next(err)
+    return
+  }
+
+  if (err.oauthError === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"')
+  } else if (['invalid_token', 'insufficient_scope'].includes(err.oauthError)) {
+    res.set('WWW-Authenticate', `Bearer error="${err.oauthError}"`)
+  }
+
+  res
+    .status(err.status)
+    .json({
+      error: err.oauthError,
+      error_description: err.message
+    })
+})
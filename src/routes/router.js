@@ -8,9 +8,21 @@
 import express from 'express'
 import createError from 'http-errors'
 import { router as v1Router } from './api/v1/router.js'
+import { router as wellKnownRouter } from './well-known-router.js'
+import { router as oauthRouter } from './oauth-router.js'
+import { router as ssoRouter } from './sso-router.js'
 
 export const router = express.Router()
 
+// Public signing keys for downstream services
+router.use('/.well-known', wellKnownRouter)
+
+// OAuth 2.0 authorization server
+router.use('/oauth', oauthRouter)
+
+// Enterprise single sign-on with the identity providers of companies
+router.use('/sso', ssoRouter)
+
 // /users is a proteced route available only for admin users
 router.use('/api/v1', v1Router)
 router.use('/api/v1/users', v1Router)
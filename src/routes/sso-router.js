@@ -0,0 +1,31 @@
+/**
+ * Enterprise single sign-on routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { SsoController } from '../controllers/sso-controller.js'
+
+export const router = express.Router()
+
+const controller = new SsoController()
+
+// SAML responses are posted form encoded.
+router.use(express.urlencoded({ extended: false }))
+
+// Provide req.company and req.identityProvider to the route if :orgNo is present in the route path.
+router.param('orgNo', (req, res, next, orgNo) => controller.loadIdentityProvider(req, res, next, orgNo))
+
+// GET sso/:orgNo/login, sends the user to the identity provider of the company
+router.get('/:orgNo/login', (req, res, next) => controller.login(req, res, next))
+
+// GET sso/:orgNo/saml/metadata, the service provider metadata for the identity provider
+router.get('/:orgNo/saml/metadata', (req, res, next) => controller.samlMetadata(req, res, next))
+
+// POST sso/:orgNo/saml/acs, the assertion consumer service
+router.post('/:orgNo/saml/acs', (req, res, next) => controller.samlCallback(req, res, next))
+
+// GET sso/:orgNo/oidc/callback
+router.get('/:orgNo/oidc/callback', (req, res, next) => controller.oidcCallback(req, res, next))
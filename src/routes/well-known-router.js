@@ -0,0 +1,19 @@
+/**
+ * Well-known routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import express from 'express'
+import { WellKnownController } from '../controllers/well-known-controller.js'
+
+export const router = express.Router()
+
+const controller = new WellKnownController()
+
+// GET .well-known/jwks.json
+router.get('/jwks.json', (req, res, next) => controller.jwks(req, res, next))
+
+// GET .well-known/openid-configuration
+router.get('/openid-configuration', (req, res, next) => controller.openidConfiguration(req, res, next))
@@ -0,0 +1,112 @@
+/**
+ * Request schemas of the account routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+// Password length is checked by the password policy, this only stops huge inputs.
+const password = { type: 'string', required: true, maxLength: 1024 }
+
+// Browser clients can have the refresh token set as an HttpOnly cookie.
+const tokenDelivery = { type: 'string', enum: ['body', 'cookie'] }
+
+export const login = {
+  body: {
+    email: { type: 'string', required: true, maxLength: 254 },
+    password,
+    label: { type: 'string', maxLength: 100 },
+    tokenDelivery
+  }
+}
+
+export const loginMfa = {
+  body: {
+    mfaToken: { type: 'string', required: true },
+    code: { type: 'string', required: true, maxLength: 20 },
+    label: { type: 'string', maxLength: 100 },
+    tokenDelivery
+  }
+}
+
+// Without a refresh token in the body, the refresh token cookie is used.
+export const refresh = {
+  body: {
+    refreshToken: { type: 'string' }
+  }
+}
+
+export const logout = refresh
+
+export const forgotPassword = {
+  body: {
+    email: { type: 'string', required: true, format: 'email' }
+  }
+}
+
+export const resetPassword = {
+  body: {
+    token: { type: 'string', required: true },
+    newPassword: password,
+    newPasswordConfirm: { type: 'string', required: true, matches: 'newPassword' }
+  }
+}
+
+export const updatePassword = {
+  body: {
+    password,
+    newPassword: password,
+    newPasswordConfirm: { type: 'string', required: true, matches: 'newPassword' }
+  }
+}
+
+export const updateCredentials = {
+  body: {
+    email: { type: 'string', required: true, format: 'email' },
+    password
+  }
+}
+
+export const acceptInvitation = {
+  body: {
+    password,
+    passwordConfirm: { type: 'string', required: true, matches: 'password' }
+  }
+}
+
+// The responses are the PublicKeyCredential objects from the browser, serialized to JSON.
+export const registerPasskey = {
+  body: {
+    response: { type: 'object', required: true },
+    nickname: { type: 'string', maxLength: 100 }
+  }
+}
+
+export const loginSso = {
+  body: {
+    code: { type: 'string', required: true, maxLength: 100 },
+    label: { type: 'string', maxLength: 100 },
+    tokenDelivery
+  }
+}
+
+export const loginPasskey = {
+  body: {
+    response: { type: 'object', required: true },
+    label: { type: 'string', maxLength: 100 },
+    tokenDelivery
+  }
+}
+
+export const inviteMember = {
+  body: {
+    email: { type: 'string', required: true, format: 'email' },
+    companyRole: { type: 'string', enum: ['admin', 'member'] }
+  }
+}
+
+export const updateMember = {
+  body: {
+    companyRole: { type: 'string', required: true, enum: ['admin', 'member'] }
+  }
+}
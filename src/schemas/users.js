@@ -0,0 +1,53 @@
+/**
+ * Request schemas of the admin users routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { ROLES } from '../config/roles.js'
+
+const SORTS = ['company', 'orgNo', 'email', 'createdAt']
+
+export const query = {
+  query: {
+    q: { type: 'string', maxLength: 100 },
+    // Staff users when true, customers when false.
+    admin: { type: 'boolean' },
+    active: { type: 'boolean' },
+    createdFrom: { type: 'string', format: 'date' },
+    createdTo: { type: 'string', format: 'date' },
+    // A leading dash sorts in descending order.
+    sort: { type: 'string', enum: [...SORTS, ...SORTS.map(sort => `-${sort}`)] },
+    cursor: { type: 'string', maxLength: 1000 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  }
+}
+
+export const register = {
+  body: {
+    company: { type: 'string', required: true, maxLength: 200 },
+    orgNo: { type: 'string', required: true, maxLength: 20 },
+    email: { type: 'string', required: true, format: 'email' },
+    role: { type: 'string', enum: Object.keys(ROLES) },
+    companyRole: { type: 'string', enum: ['admin', 'member'] }
+  }
+}
+
+export const update = {
+  body: {
+    email: { type: 'string', format: 'email' },
+    company: { type: 'string', minLength: 1, maxLength: 200 },
+    orgNo: { type: 'string', maxLength: 20 },
+    role: { type: 'string', enum: Object.keys(ROLES) },
+    companyRole: { type: 'string', enum: ['admin', 'member'] }
+  }
+}
+
+export const resetPassword = {
+  body: {
+    customer: { type: 'string', required: true, format: 'objectId' },
+    newPassword: { type: 'string', required: true, maxLength: 1024 },
+    newPasswordConfirm: { type: 'string', required: true, matches: 'newPassword' }
+  }
+}
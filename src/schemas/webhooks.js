@@ -0,0 +1,35 @@
+/**
+ * Request schemas of the webhooks routes.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { WEBHOOK_EVENTS } from '../config/webhooks.js'
+
+export const create = {
+  body: {
+    url: { type: 'string', required: true, maxLength: 2000, format: 'url' },
+    description: { type: 'string', maxLength: 200 },
+    events: { type: 'array', required: true, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    enabled: { type: 'boolean' }
+  }
+}
+
+export const update = {
+  body: {
+    url: { type: 'string', maxLength: 2000, format: 'url' },
+    description: { type: 'string', maxLength: 200 },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    enabled: { type: 'boolean' }
+  }
+}
+
+export const deliveries = {
+  query: {
+    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+    type: { type: 'string', enum: WEBHOOK_EVENTS },
+    cursor: { type: 'string', format: 'objectId' },
+    limit: { type: 'integer', min: 1, max: 200 }
+  }
+}
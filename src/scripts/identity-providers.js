@@ -0,0 +1,125 @@
+/**
+ * Command line tool for configuring the identity providers of companies.
+ *
+ * Usage: npm run identity-providers -- list | add-saml <org-no> <metadata-file-or-url> --domains=a,b [--provision] [--trust-email] | add-oidc <org-no> <issuer> <client-id> <client-secret> --domains=a,b [--provision] [--trust-email] | enable <org-no> | disable <org-no> | remove <org-no>
+ *
+ * Adding a provider replaces the earlier provider of the company. With
+ * --provision, users of the domains signing in for the first time are
+ * created, otherwise only existing users of the company can sign in.
+ * Existing users with a password are only linked with --trust-email, as
+ * the provider can then sign in as them.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import fs from 'fs/promises'
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { Company } from '../models/company.js'
+import { IdentityProvider } from '../models/identity-provider.js'
+import { assertionConsumerServiceUrl, parseMetadata } from '../utils/saml.js'
+import { redirectUri } from '../utils/oidc-federation.js'
+import { issuer } from '../config/oidc.js'
+import { normalizeOrgNo } from '../utils/org-no.js'
+
+const [command, ...args] = process.argv.slice(2)
+
+const options = Object.fromEntries(args
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => arg.slice(2).split('='))
+  .map(([name, value]) => [name, value?.split(',').filter(Boolean) ?? []]))
+const [orgNo, ...rest] = args.filter(arg => !arg.startsWith('--'))
+
+/**
+ * Finds a company by its organization number.
+ *
+ * @param {string} orgNo - The organization number.
+ * @returns {Promise<object>} The company.
+ */
+const findCompany = async (orgNo) => {
+  const company = await Company.findOne({ orgNo: normalizeOrgNo(orgNo) })
+  if (!company) {
+    throw new Error(`No company ${orgNo}.`)
+  }
+
+  return company
+}
+
+/**
+ * Reads SAML metadata from a file or URL.
+ *
+ * @param {string} source - The path or URL of the metadata.
+ * @returns {Promise<string>} The metadata.
+ */
+const readMetadata = async (source) => {
+  if (!/^https?:\/\//.test(source)) {
+    return fs.readFile(source, 'utf8')
+  }
+
+  const response = await fetch(source)
+  if (!response.ok) {
+    throw new Error(`${source} answered ${response.status}.`)
+  }
+  return response.text()
+}
+
+try {
+  await connectDB()
+
+  if (command === 'list') {
+    const providers = await IdentityProvider.find().populate('company')
+    providers.forEach(provider => console.log(`${provider.company.orgNo}\t${provider.company.name}\t${provider.protocol}\t${provider.enabled ? 'enabled' : 'disabled'}\t${provider.domains.join(',')}\t${provider.saml?.entityId ?? provider.oidc?.issuer}`))
+  } else if (command === 'add-saml' || command === 'add-oidc') {
+    const company = await findCompany(orgNo)
+    const provider = new IdentityProvider({
+      company: company.id,
+      protocol: command === 'add-saml' ? 'saml' : 'oidc',
+      domains: options.domains,
+      provisionUsers: 'provision' in options,
+      trustEmail: 'trust-email' in options
+    })
+
+    if (provider.protocol === 'saml') {
+      provider.saml = parseMetadata(await readMetadata(rest[0]))
+    } else {
+      provider.oidc = { issuer: rest[0], clientId: rest[1], clientSecret: rest[2] }
+    }
+
+    await provider.validate()
+    await IdentityProvider.deleteOne({ company: company.id })
+    await provider.save()
+
+    console.log(`Added ${provider.protocol} identity provider for ${company.name}.`)
+    if (provider.protocol === 'saml') {
+      console.log(`Entity id: ${issuer()}`)
+      console.log(`Assertion consumer service: ${assertionConsumerServiceUrl(company.orgNo)}`)
+    } else {
+      console.log(`Redirect URI: ${redirectUri(company.orgNo)}`)
+    }
+    console.log(`Sign in at: ${issuer()}/sso/${company.orgNo}/login`)
+  } else if (command === 'enable' || command === 'disable') {
+    const company = await findCompany(orgNo)
+    const { matchedCount } = await IdentityProvider.updateOne({ company: company.id }, { enabled: command === 'enable' })
+    if (!matchedCount) {
+      throw new Error(`${company.name} has no identity provider.`)
+    }
+    console.log(`${command === 'enable' ? 'Enabled' : 'Disabled'} the identity provider of ${company.name}.`)
+  } else if (command === 'remove') {
+    const company = await findCompany(orgNo)
+    const provider = await IdentityProvider.findOneAndDelete({ company: company.id })
+    if (!provider) {
+      throw new Error(`${company.name} has no identity provider.`)
+    }
+
+    // Users keep their accounts, those without a password can set one with a reset link.
+    console.log(`Removed the identity provider of ${company.name}.`)
+  } else {
+    throw new Error('Usage: identity-providers list | add-saml <org-no> <metadata-file-or-url> --domains=a,b [--provision] [--trust-email] | add-oidc <org-no> <issuer> <client-id> <client-secret> --domains=a,b [--provision] [--trust-email] | enable <org-no> | disable <org-no> | remove <org-no>')
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
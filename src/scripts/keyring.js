@@ -0,0 +1,44 @@
+/**
+ * Command line tool for rotating the access token signing keys.
+ *
+ * Usage: npm run keyring -- list | add [private-key.pem] | promote <kid> | retire <kid> [--force]
+ *
+ * A rotation adds a key, waits until downstream services have fetched the
+ * new key set, promotes the key and finally retires the previous key once
+ * the access tokens it signed have expired.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import fs from 'fs/promises'
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { keyring } from '../utils/keyring.js'
+
+const [command, arg, flag] = process.argv.slice(2)
+
+try {
+  await connectDB()
+
+  if (command === 'list') {
+    const keys = await keyring.load()
+    keys.forEach(key => console.log(`${key.kid}\t${key.status}\t${key.createdAt.toISOString()}`))
+  } else if (command === 'add') {
+    const key = await keyring.add(arg ? await fs.readFile(arg, 'utf8') : undefined)
+    console.log(`Added key ${key.kid}.`)
+  } else if (command === 'promote') {
+    await keyring.promote(arg)
+    console.log(`Promoted key ${arg}.`)
+  } else if (command === 'retire') {
+    await keyring.retire(arg, flag === '--force')
+    console.log(`Retired key ${arg}.`)
+  } else {
+    throw new Error('Usage: keyring list | add [pem] | promote <kid> | retire <kid> [--force]')
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
@@ -0,0 +1,61 @@
+/**
+ * Migrates users from company and orgNo strings to companies.
+ *
+ * A company is created for every organization number and linked to its
+ * users, who become company admins. The unique indexes on company and orgNo
+ * are replaced so a company can have more than one user.
+ *
+ * Usage: npm run migrate:companies
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { Company } from '../models/company.js'
+import { User } from '../models/user.js'
+import { isValidOrgNo, normalizeOrgNo } from '../utils/org-no.js'
+
+try {
+  await connectDB()
+
+  let migrated = 0
+  // The old fields are no longer in the schema, so read and update the collection directly.
+  for await (const user of User.collection.find({ company: { $type: 'string' } })) {
+    const orgNo = normalizeOrgNo(user.orgNo) ?? user.orgNo
+    if (!isValidOrgNo(orgNo)) {
+      console.warn(`User ${user._id} has an invalid organization number ${user.orgNo}, migrated as is.`)
+    }
+
+    const { value: company } = await Company.collection.findOneAndUpdate(
+      { orgNo },
+      {
+        $setOnInsert: {
+          name: user.company,
+          nameNormalized: user.company.toLowerCase(),
+          orgNo,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    )
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { company: company._id, companyRole: 'admin' }, $unset: { orgNo: '', companyNormalized: '' } }
+    )
+    migrated++
+  }
+  console.log(`Migrated ${migrated} users.`)
+
+  // Drops the unique company and orgNo indexes.
+  await User.syncIndexes()
+  await Company.syncIndexes()
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
@@ -0,0 +1,43 @@
+/**
+ * Migrates users from the admin flag to roles.
+ *
+ * Users with admin set become admins and every other user a customer. The
+ * user named by --owner, if given, becomes owner.
+ *
+ * Usage: npm run migrate:roles -- [--owner <email>]
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { User } from '../models/user.js'
+
+const args = process.argv.slice(2)
+const owner = args.includes('--owner') ? args[args.indexOf('--owner') + 1] : null
+
+try {
+  await connectDB()
+
+  // The admin flag is no longer in the schema, so update the collection directly.
+  const admins = await User.collection.updateMany(
+    { admin: true, role: { $exists: false } },
+    { $set: { role: 'admin' }, $unset: { admin: '' } }
+  )
+  const customers = await User.collection.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'customer' }, $unset: { admin: '' } }
+  )
+  console.log(`Migrated ${admins.modifiedCount} admins and ${customers.modifiedCount} customers.`)
+
+  if (owner) {
+    const { matchedCount } = await User.updateOne({ email: owner.toLowerCase() }, { role: 'owner' })
+    console.log(matchedCount ? `${owner} is now owner.` : `No user ${owner} found.`)
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
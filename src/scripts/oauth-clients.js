@@ -0,0 +1,72 @@
+/**
+ * Command line tool for registering OAuth 2.0 clients.
+ *
+ * Usage: npm run oauth-clients -- list | add <name> <public|confidential> [redirect-uri ...] [--grants=a,b] [--scopes=a,b] | rotate-secret <client-id> | remove <client-id>
+ *
+ * The client secret of a confidential client is only shown when it is created or rotated.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { connectDB } from '../config/mongoose.js'
+import { OAuthClient } from '../models/oauth-client.js'
+import { TokenFamily } from '../models/token-family.js'
+
+const [command, ...args] = process.argv.slice(2)
+
+const options = Object.fromEntries(args
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => arg.slice(2).split('='))
+  .map(([name, value]) => [name, value?.split(',').filter(Boolean) ?? []]))
+const [arg, ...rest] = args.filter(arg => !arg.startsWith('--'))
+
+try {
+  await connectDB()
+
+  if (command === 'list') {
+    const clients = await OAuthClient.find().sort({ name: 1 })
+    clients.forEach(client => console.log(`${client.clientId}\t${client.type}\t${client.name}\t${client.grants.join(',')}\t${client.redirectUris.join(' ')}`))
+  } else if (command === 'add') {
+    const client = new OAuthClient({
+      name: arg,
+      type: rest[0],
+      redirectUris: rest.slice(1),
+      grants: options.grants ?? (rest[0] === 'public' ? ['authorization_code', 'refresh_token'] : undefined),
+      scopes: options.scopes
+    })
+    const secret = client.type === 'confidential' ? client.generateSecret() : undefined
+    await client.save()
+
+    console.log(`Added client ${client.clientId}.`)
+    if (secret) {
+      console.log(`Client secret: ${secret}`)
+    }
+  } else if (command === 'rotate-secret') {
+    const client = await OAuthClient.findOne({ clientId: arg, type: 'confidential' })
+    if (!client) {
+      throw new Error(`No confidential client ${arg}.`)
+    }
+
+    const secret = client.generateSecret()
+    await client.save()
+    console.log(`Client secret: ${secret}`)
+  } else if (command === 'remove') {
+    const { deletedCount } = await OAuthClient.deleteOne({ clientId: arg })
+    if (!deletedCount) {
+      throw new Error(`No client ${arg}.`)
+    }
+
+    // Sign out the sessions of the client.
+    await TokenFamily.updateMany({ clientId: arg, revokedAt: null }, { revokedAt: Date.now(), revokeReason: 'admin' })
+    console.log(`Removed client ${arg}.`)
+  } else {
+    throw new Error('Usage: oauth-clients list | add <name> <public|confidential> [redirect-uri ...] [--grants=a,b] [--scopes=a,b] | rotate-secret <client-id> | remove <client-id>')
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+} finally {
+  await mongoose.disconnect()
+}
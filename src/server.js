@@ -9,14 +9,35 @@ import express from 'express'
 import helmet from 'helmet'
 import logger from 'morgan'
 import cors from 'cors'
+import cookieParser from 'cookie-parser'
 import { router } from './routes/router.js'
 import { connectDB } from './config/mongoose.js'
+import { keyring } from './utils/keyring.js'
+import { events } from './utils/events.js'
+import { startWebhookDispatcher } from './utils/webhooks.js'
+import { invalidParamsOf } from './utils/validation.js'
 
 try {
   await connectDB()
 
+  // Load the signing keys, importing the configured key pair on first start.
+  await keyring.load()
+
+  // Log security events.
+  events.on('token.reuse', ({ target, details, ip }) => {
+    console.warn(`Refresh token reuse detected for user ${target} from ${ip}, token family ${details.family} revoked.`)
+  })
+
+  // Send the webhook events waiting in the outbox, and those published from now on.
+  startWebhookDispatcher()
+
   const app = express()
 
+  // Behind a proxy, take the client IP from X-Forwarded-For (number of hops or trusted addresses). Needed for per-IP login throttling.
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+  }
+
   app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true,
@@ -31,7 +52,7 @@ try {
     res.setHeader('Access-Control-Allow-Origin', process.env.CORS_ORIGIN)
     res.header(
       'Access-Control-Allow-Headers',
-      'Origin, X-Requested-With, Content-Type, Accept'
+      'Origin, X-Requested-With, Content-Type, Accept, X-CSRF-Token'
     )
     next()
   })
@@ -42,18 +63,42 @@ try {
   // Parse requests of the content type application/json.
   app.use(express.json())
 
+  // Parse cookies, used for the refresh token cookie.
+  app.use(cookieParser())
+
   // Register routes.
   app.use('/', router)
 
   // Error handler.
   app.use(function (err, req, res, next) {
+    // Mongoose validation errors not handled by a controller are client errors.
+    if (err.name === 'ValidationError' && !err.status) {
+      err.status = 400
+    }
+
     err.status = err.status || 500
-    // Set error messages depending on status code
+
+    // Invalid fields are answered as RFC 7807 problem details.
+    const invalidParams = err.invalidParams ?? invalidParamsOf(err.cause) ?? invalidParamsOf(err)
+    if (err.status === 400 && invalidParams) {
+      return res
+        .status(400)
+        .type('application/problem+json')
+        .json({
+          type: 'about:blank',
+          title: 'Bad Request',
+          status: 400,
+          detail: err.message === 'Bad Request' ? 'The request parameters are invalid.' : err.message,
+          'invalid-params': invalidParams
+        })
+    }
+
+    // Set error messages depending on status code, keeping the specific ones.
     if (err.status === 500) {
       err.message = 'An unexpected condition was encountered.'
-    } else if (err.status === 400) {
+    } else if (err.status === 400 && err.message === 'Bad Request') {
       err.message = 'The request cannot or will not be processed due to something that is perceived to be a client error (for example validation error).'
-    } else if (err.status === 409) {
+    } else if (err.status === 409 && err.message === 'Conflict') {
       err.message = 'The username and / or email address is already registered.'
     }
 
@@ -62,7 +107,8 @@ try {
         .status(err.status)
         .json({
           status: err.status,
-          message: err.message
+          message: err.message,
+          details: err.details
         })
     }
 
@@ -73,6 +119,7 @@ try {
       .json({
         status: err.status,
         message: err.message,
+        details: err.details,
         cause: err.cause
           ? {
               status: err.cause.status,
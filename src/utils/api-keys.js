@@ -0,0 +1,28 @@
+/**
+ * Module for authenticating API keys.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { ApiKey } from '../models/api-key.js'
+import { User } from '../models/user.js'
+
+/**
+ * Authenticates a request made with an API key.
+ *
+ * @param {string} key - The API key from the Authorization header.
+ * @returns {Promise<object>} The stored key and its user.
+ */
+export const authenticateApiKey = async (key) => {
+  const apiKey = key && await ApiKey.findValid(key)
+  const user = apiKey && await User.findById(apiKey.user)
+
+  if (user?.status !== 'active') {
+    throw new Error('Invalid API key.')
+  }
+
+  apiKey.touch().catch(err => console.error(err))
+
+  return { apiKey, user }
+}
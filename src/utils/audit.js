@@ -0,0 +1,41 @@
+/**
+ * Module for the audit log.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { AuditEvent } from '../models/audit-event.js'
+import { events } from './events.js'
+
+/**
+ * Records an audit event and emits it by its type.
+ *
+ * The event is written in the background, a failing write is logged but
+ * never fails the request.
+ *
+ * Actions taken with an impersonation token record the staff user acting
+ * as the customer in details.impersonator.
+ *
+ * @param {object} req - Express request object.
+ * @param {string} type - What happened, e.g. login or admin.register.
+ * @param {object} [event] - The event.
+ * @param {string} [event.actor] - The id of the user who performed the action.
+ * @param {string} [event.target] - The id of the user the action was performed on.
+ * @param {string} [event.outcome] - success or failure.
+ * @param {object} [event.details] - Additional details.
+ */
+export const audit = (req, type, { actor, target, outcome = 'success', details } = {}) => {
+  const event = {
+    type,
+    outcome,
+    actor,
+    target,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    details: req.user?.act ? { ...details, impersonator: req.user.act.sub } : details
+  }
+
+  AuditEvent.create(event).catch(err => console.error(`Failed to record audit event ${type}: ${err}`))
+  events.emit(type, event)
+}
@@ -0,0 +1,88 @@
+/**
+ * Module for signed email links.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import jwt from 'jsonwebtoken'
+import { mailer } from './mailer.js'
+import { issuer } from '../config/oidc.js'
+
+/**
+ * Signs a token for an email link.
+ *
+ * @param {object} payload - The JWT payload.
+ * @param {string} audience - What the token can be used for.
+ * @param {string} expiresIn - The lifespan of the token.
+ * @returns {string} The signed token.
+ */
+const signLinkToken = (payload, audience, expiresIn) => jwt.sign(
+  payload,
+  process.env.REFRESH_TOKEN_SECRET,
+  {
+    algorithm: 'HS256',
+    issuer: issuer(),
+    audience,
+    expiresIn
+  }
+)
+
+/**
+ * Verifies a token from an email link.
+ *
+ * @param {string} token - The token to verify.
+ * @param {string} audience - What the token must have been issued for.
+ * @returns {object} The verified payload.
+ */
+export const verifyLinkToken = (token, audience) => jwt.verify(
+  token,
+  process.env.REFRESH_TOKEN_SECRET,
+  {
+    algorithms: ['HS256'],
+    audience
+  }
+)
+
+/**
+ * Emails a link verifying the email address of a user.
+ *
+ * @param {object} user - The user to verify.
+ */
+export const sendVerificationLink = async (user) => {
+  const token = signLinkToken({ sub: user.id, email: user.email }, 'verify-email', '7d')
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: 'Use the link below to verify your email address.\n\n' +
+      `${process.env.CLIENT_URL}/verify-email?token=${token}`
+  })
+}
+
+/**
+ * Emails a confirmation link to a new email address, and a notice with a
+ * link that cancels or reverts the change to the current address.
+ *
+ * @param {object} user - The user changing email address.
+ * @param {string} newEmail - The new email address.
+ */
+export const sendEmailChangeLinks = async (user, newEmail) => {
+  const confirmToken = signLinkToken({ sub: user.id, email: newEmail }, 'change-email', '1d')
+  const cancelToken = signLinkToken({ sub: user.id, email: user.email, newEmail }, 'cancel-email-change', '7d')
+
+  await mailer.send({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: 'Use the link below to confirm your new email address.\n\n' +
+      `${process.env.CLIENT_URL}/confirm-email?token=${confirmToken}`
+  })
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: `A change of the email address for your account to ${newEmail} has been requested.\n\n` +
+      'If you did not ask for this, use the link below to cancel the change and sign out every session.\n\n' +
+      `${process.env.CLIENT_URL}/cancel-email-change?token=${cancelToken}`
+  })
+}
@@ -0,0 +1,15 @@
+/**
+ * Module for application events.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { EventEmitter } from 'events'
+
+/**
+ * Emits authentication and security events, such as "token.reuse", so they
+ * can be logged and acted on outside the controllers. Every audit event is
+ * emitted here by its type.
+ */
+export const events = new EventEmitter()
@@ -0,0 +1,69 @@
+/**
+ * Module for sending invitations.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import ms from 'ms'
+import { Invitation } from '../models/invitation.js'
+import { mailer } from './mailer.js'
+
+/**
+ * Returns the lifetime of invitation links.
+ *
+ * @returns {number} The lifetime in milliseconds.
+ */
+const lifetime = () => ms(process.env.INVITATION_TOKEN_LIFE || '7d')
+
+/**
+ * Emails an invitation link to a user.
+ *
+ * @param {object} user - The invited user, with company populated.
+ * @param {string} token - The invitation token.
+ */
+const sendInvitationLink = async (user, token) => {
+  await mailer.send({
+    to: user.email,
+    subject: `You have been invited to ${user.company.name}`,
+    text: `You have been invited to sign in for ${user.company.name}. Use the link below to choose your password. ` +
+      `The link can be used once and expires in ${ms(lifetime(), { long: true })}.\n\n` +
+      `${process.env.CLIENT_URL}/accept-invitation?token=${token}`
+  })
+}
+
+/**
+ * Creates an invitation for an invited user and emails the link.
+ *
+ * @param {object} user - The invited user.
+ * @param {string} [invitedBy] - The id of the user sending the invitation.
+ * @returns {Promise<Invitation>} The invitation.
+ */
+export const invite = async (user, invitedBy) => {
+  const invitation = new Invitation({ user: user.id, invitedBy })
+  const token = invitation.generateToken(lifetime())
+  await invitation.save()
+
+  await user.populate('company')
+  await sendInvitationLink(user, token)
+
+  return invitation
+}
+
+/**
+ * Sends a pending invitation again with a new link, the previous link stops working.
+ *
+ * @param {Invitation} invitation - The invitation, with user populated.
+ * @returns {Promise<Invitation>} The invitation.
+ */
+export const resend = async (invitation) => {
+  const token = invitation.generateToken(lifetime())
+  invitation.sentCount++
+  invitation.lastSentAt = Date.now()
+  await invitation.save()
+
+  await invitation.user.populate('company')
+  await sendInvitationLink(invitation.user, token)
+
+  return invitation
+}
@@ -0,0 +1,268 @@
+/**
+ * Module for the Keyring.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import ms from 'ms'
+import { SigningKey } from '../models/signing-key.js'
+import { issuer, accessTokenAudience } from '../config/oidc.js'
+
+// How long loaded keys are trusted before they are read from the database again.
+const CACHE_TTL = 60 * 1000
+
+/**
+ * Creates the RFC 7638 thumbprint of a public key, used as kid.
+ *
+ * @param {string} publicKey - The public key in PEM format.
+ * @returns {string} The base64url encoded thumbprint.
+ */
+const thumbprint = (publicKey) => {
+  const { e, kty, n } = crypto.createPublicKey(publicKey).export({ format: 'jwk' })
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url')
+}
+
+/**
+ * Encapsulates the RS256 keys used to sign and verify access tokens.
+ *
+ * Keys are stored in MongoDB so all instances share the same keyring. A key
+ * is added as "next" (published, not signing), promoted to "current" (signing)
+ * and demoted to "previous" (verify only) until it is retired.
+ */
+export class Keyring {
+  /**
+   * Creates a new keyring.
+   */
+  constructor () {
+    this.keys = []
+    this.loadedAt = 0
+  }
+
+  /**
+   * Loads the keys from the database.
+   *
+   * If the keyring is empty, the key pair in ACCESS_TOKEN_SECRET and
+   * ACCESS_TOKEN_PUB is imported as the current key.
+   *
+   * @returns {Promise<object[]>} The loaded keys.
+   */
+  async load () {
+    let keys = await SigningKey.find().sort({ promotedAt: -1 })
+
+    if (!keys.length && process.env.ACCESS_TOKEN_SECRET) {
+      const publicKey = Buffer.from(process.env.ACCESS_TOKEN_PUB, 'base64').toString('ascii')
+      try {
+        await SigningKey.create({
+          kid: thumbprint(publicKey),
+          privateKey: Buffer.from(process.env.ACCESS_TOKEN_SECRET, 'base64').toString('ascii'),
+          publicKey,
+          status: 'current',
+          promotedAt: Date.now()
+        })
+      } catch (err) {
+        // Another instance imported the key first.
+        if (err.code !== 11000) {
+          throw err
+        }
+      }
+      keys = await SigningKey.find().sort({ promotedAt: -1 })
+    }
+
+    this.keys = keys
+    this.loadedAt = Date.now()
+    return keys
+  }
+
+  /**
+   * Returns the keys, reloading them if the cache is stale.
+   *
+   * @param {number} [maxAge] - Maximum age of the cache in milliseconds.
+   * @returns {Promise<object[]>} The keys.
+   */
+  async getKeys (maxAge = CACHE_TTL) {
+    if (Date.now() - this.loadedAt > maxAge) {
+      await this.load()
+    }
+    return this.keys
+  }
+
+  /**
+   * Signs a payload with the current key.
+   *
+   * Tokens are issued by this service for the API unless another audience is
+   * given, and get a unique jti so they can be revoked.
+   *
+   * @param {object} payload - The JWT payload.
+   * @param {object} options - Options passed on to jwt.sign.
+   * @returns {Promise<string>} The signed token.
+   */
+  async sign (payload, options = {}) {
+    const keys = await this.getKeys()
+    const key = keys.find(key => key.status === 'current')
+
+    if (!key) {
+      throw new Error('No current signing key.')
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      issuer: issuer(),
+      audience: accessTokenAudience(),
+      jwtid: crypto.randomUUID(),
+      ...options,
+      algorithm: 'RS256',
+      keyid: key.kid
+    })
+  }
+
+  /**
+   * Verifies a token against the key named by its kid header.
+   *
+   * Tokens signed before kid headers were introduced are verified against the
+   * current and previous keys.
+   *
+   * The issuer and audience are checked, by default that of access tokens.
+   *
+   * @param {string} token - The token to verify.
+   * @param {object} [options] - Options passed on to jwt.verify.
+   * @returns {Promise<object>} The verified payload.
+   */
+  async verify (token, options = {}) {
+    const verifyOptions = {
+      issuer: issuer(),
+      audience: accessTokenAudience(),
+      ...options,
+      algorithms: ['RS256']
+    }
+
+    const decoded = jwt.decode(token, { complete: true })
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed')
+    }
+
+    const { kid } = decoded.header
+    if (!kid) {
+      let error = new jwt.JsonWebTokenError('No signing key.')
+      for (const key of await this.getKeys()) {
+        try {
+          return jwt.verify(token, key.publicKey, verifyOptions)
+        } catch (err) {
+          // The signature matched, but the token is no longer valid.
+          if (err.name === 'TokenExpiredError') {
+            throw err
+          }
+          error = err
+        }
+      }
+      throw error
+    }
+
+    let key = (await this.getKeys()).find(key => key.kid === kid)
+    // An unknown kid may have been added by another instance, reload at most every few seconds.
+    if (!key) {
+      key = (await this.getKeys(5000)).find(key => key.kid === kid)
+    }
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key.')
+    }
+
+    return jwt.verify(token, key.publicKey, verifyOptions)
+  }
+
+  /**
+   * Returns the public keys as a JSON Web Key Set.
+   *
+   * @returns {Promise<object>} The key set.
+   */
+  async jwks () {
+    const keys = await this.getKeys()
+    return {
+      keys: keys.map(key => {
+        const { kty, n, e } = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' })
+        return { kty, n, e, kid: key.kid, use: 'sig', alg: 'RS256' }
+      })
+    }
+  }
+
+  /**
+   * Adds a new key as "next".
+   *
+   * @param {string} [privateKey] - A private key in PEM format, a new key pair is generated if omitted.
+   * @returns {Promise<object>} The added key.
+   */
+  async add (privateKey) {
+    let publicKey
+    if (privateKey) {
+      publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+    } else {
+      ({ privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      }))
+    }
+
+    const key = await SigningKey.create({
+      kid: thumbprint(publicKey),
+      privateKey,
+      publicKey
+    })
+    await this.load()
+    return key
+  }
+
+  /**
+   * Promotes a "next" key to current and demotes the current key to "previous".
+   *
+   * @param {string} kid - The id of the key to promote.
+   * @returns {Promise<object>} The promoted key.
+   */
+  async promote (kid) {
+    const key = await SigningKey.findOneAndUpdate(
+      { kid, status: 'next' },
+      { status: 'current', promotedAt: Date.now() },
+      { new: true }
+    )
+    if (!key) {
+      throw new Error(`No key "${kid}" waiting to be promoted.`)
+    }
+
+    await SigningKey.updateMany(
+      { status: 'current', kid: { $ne: kid } },
+      { status: 'previous', demotedAt: Date.now() }
+    )
+    await this.load()
+    return key
+  }
+
+  /**
+   * Retires a "previous" key, after which tokens signed with it no longer verify.
+   *
+   * Unless forced, a key is kept until every access token it signed has expired.
+   *
+   * @param {string} kid - The id of the key to retire.
+   * @param {boolean} [force] - Retire the key even if tokens may still be in flight.
+   */
+  async retire (kid, force = false) {
+    const key = await SigningKey.findOne({ kid, status: 'previous' })
+    if (!key) {
+      throw new Error(`No previous key "${kid}" to retire.`)
+    }
+
+    const lifetime = ms(String(process.env.ACCESS_TOKEN_LIFE)) || 0
+    const safeAt = key.demotedAt.getTime() + lifetime + CACHE_TTL
+    if (!force && Date.now() < safeAt) {
+      throw new Error(`Key "${kid}" may still verify tokens in flight, retire it after ${new Date(safeAt).toISOString()}.`)
+    }
+
+    await key.delete()
+    await this.load()
+  }
+}
+
+export const keyring = new Keyring()
@@ -0,0 +1,145 @@
+/**
+ * Module for signing in with OpenID Connect identity providers.
+ *
+ * The service acts as a relying party using the authorization code flow
+ * with PKCE, and authenticates with the client secret of the company.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { issuer } from '../config/oidc.js'
+
+/**
+ * Returns the URL the identity provider redirects back to.
+ *
+ * @param {string} orgNo - The organization number of the company.
+ * @returns {string} The redirect URI.
+ */
+export const redirectUri = (orgNo) => `${issuer()}/sso/${orgNo}/oidc/callback`
+
+/**
+ * Fetches a JSON document.
+ *
+ * @param {string} url - The URL.
+ * @param {object} [options] - The fetch options.
+ * @returns {Promise<object>} The parsed document.
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) })
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}.`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Fetches the discovery document of an identity provider.
+ *
+ * @param {string} providerIssuer - The issuer identifier of the provider.
+ * @returns {Promise<object>} The provider configuration.
+ */
+const discover = async (providerIssuer) => {
+  const configuration = await fetchJson(`${providerIssuer.replace(/\/$/, '')}/.well-known/openid-configuration`)
+  if (configuration.issuer !== providerIssuer) {
+    throw new Error(`The discovery document is for ${configuration.issuer}, not ${providerIssuer}.`)
+  }
+
+  return configuration
+}
+
+/**
+ * Returns the URL sending the user to the identity provider to sign in.
+ *
+ * @param {object} provider - The identity provider.
+ * @param {object} attempt - The sign in attempt.
+ * @param {string} attempt.orgNo - The organization number of the company.
+ * @param {string} attempt.state - The state of the attempt.
+ * @param {string} attempt.nonce - The nonce the ID token must contain.
+ * @param {string} attempt.codeVerifier - The PKCE code verifier.
+ * @returns {Promise<string>} The authorization URL.
+ */
+export const authorizationUrl = async (provider, { orgNo, state, nonce, codeVerifier }) => {
+  const { authorization_endpoint: endpoint } = await discover(provider.oidc.issuer)
+
+  const url = new URL(endpoint)
+  for (const [name, value] of Object.entries({
+    response_type: 'code',
+    client_id: provider.oidc.clientId,
+    redirect_uri: redirectUri(orgNo),
+    scope: 'openid email',
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  })) {
+    url.searchParams.set(name, value)
+  }
+
+  return url.href
+}
+
+/**
+ * Verifies an ID token with the published keys of the identity provider.
+ *
+ * @param {string} idToken - The ID token.
+ * @param {object} configuration - The provider configuration.
+ * @param {object} provider - The identity provider.
+ * @returns {Promise<object>} The claims.
+ */
+const verifyIdToken = async (idToken, configuration, provider) => {
+  const { header } = jwt.decode(idToken, { complete: true }) ?? {}
+  const { keys } = await fetchJson(configuration.jwks_uri)
+
+  const jwk = keys.find(key => key.kid === header?.kid && key.use !== 'enc')
+  if (!jwk) {
+    throw new Error('The ID token is signed with an unknown key.')
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' })
+  return jwt.verify(idToken, publicKey, {
+    algorithms: ['RS256', 'PS256', 'ES256'],
+    issuer: provider.oidc.issuer,
+    audience: provider.oidc.clientId
+  })
+}
+
+/**
+ * Exchanges the authorization code for an ID token and returns who signed in.
+ *
+ * @param {object} provider - The identity provider.
+ * @param {object} attempt - The sign in attempt.
+ * @param {string} attempt.orgNo - The organization number of the company.
+ * @param {string} attempt.code - The authorization code.
+ * @param {string} attempt.nonce - The nonce the ID token must contain.
+ * @param {string} attempt.codeVerifier - The PKCE code verifier.
+ * @returns {Promise<object>} The subject and email address of the user, and if the provider has verified the address.
+ */
+export const fetchIdentity = async (provider, { orgNo, code, nonce, codeVerifier }) => {
+  const configuration = await discover(provider.oidc.issuer)
+  const credentials = [provider.oidc.clientId, provider.oidc.clientSecret].map(encodeURIComponent).join(':')
+
+  const { id_token: idToken } = await fetchJson(configuration.token_endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(credentials).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri(orgNo),
+      code_verifier: codeVerifier
+    })
+  })
+
+  const claims = await verifyIdToken(idToken, configuration, provider)
+  if (claims.nonce !== nonce) {
+    throw new Error('The ID token has the wrong nonce.')
+  }
+
+  return { subject: claims.sub, email: claims.email, emailVerified: claims.email_verified === true }
+}
@@ -0,0 +1,45 @@
+/**
+ * Module for Swedish organisation numbers (organisationsnummer).
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+/**
+ * Normalizes an organisation number to the format NNNNNN-NNNN.
+ *
+ * Accepts ten digits, or twelve digits with a century prefix, with or
+ * without a dash.
+ *
+ * @param {string} value - The organisation number.
+ * @returns {string|null} The normalized number, or null if the format is wrong.
+ */
+export const normalizeOrgNo = (value) => {
+  const digits = String(value ?? '').replace(/[\s-]/g, '')
+  const tenDigits = digits.length === 12 ? digits.slice(2) : digits
+
+  if (!/^\d{10}$/.test(tenDigits)) {
+    return null
+  }
+  return `${tenDigits.slice(0, 6)}-${tenDigits.slice(6)}`
+}
+
+/**
+ * Checks the format and the Luhn check digit of an organisation number.
+ *
+ * @param {string} value - The organisation number.
+ * @returns {boolean} True if the number is valid.
+ */
+export const isValidOrgNo = (value) => {
+  const normalized = normalizeOrgNo(value)
+  if (!normalized) {
+    return false
+  }
+
+  const sum = [...normalized.replace('-', '')].reduce((sum, digit, i) => {
+    const product = Number(digit) * (i % 2 === 0 ? 2 : 1)
+    return sum + (product > 9 ? product - 9 : product)
+  }, 0)
+
+  return sum % 10 === 0
+}
@@ -0,0 +1,45 @@
+/**
+ * Module for the challenges of WebAuthn ceremonies.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import ms from 'ms'
+import { WebAuthnChallenge } from '../models/webauthn-challenge.js'
+
+/**
+ * Stores the challenge of registration or authentication options.
+ *
+ * @param {object} options - The options sent to the browser.
+ * @param {string} type - registration or authentication.
+ * @param {string} [user] - The id of the user, for registrations.
+ */
+export const storeChallenge = async (options, type, user) => {
+  await WebAuthnChallenge.create({
+    challenge: options.challenge,
+    type,
+    user,
+    expire_at: Date.now() + ms(process.env.WEBAUTHN_CHALLENGE_LIFE || '5m')
+  })
+}
+
+/**
+ * Uses up the challenge a WebAuthn response answers.
+ *
+ * @param {object} response - The registration or authentication response from the browser.
+ * @param {string} type - registration or authentication.
+ * @param {string} [user] - The id of the user, for registrations.
+ * @returns {Promise<string>} The challenge, or null if it is unknown, expired or already answered.
+ */
+export const consumeChallenge = async (response, type, user) => {
+  let challenge
+  try {
+    challenge = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url')).challenge
+  } catch {
+    return null
+  }
+
+  const stored = challenge && await WebAuthnChallenge.consume(challenge, type, user)
+  return stored?.challenge ?? null
+}
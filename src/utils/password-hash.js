@@ -0,0 +1,106 @@
+/**
+ * Module for hashing passwords.
+ *
+ * Hashes are stored in their standard string formats, which include the
+ * algorithm and its parameters, so hashes made with older settings can be
+ * verified and recognized as outdated.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import argon2 from 'argon2'
+import bcrypt from 'bcrypt'
+
+/**
+ * Returns the hash settings, configurable through the environment.
+ *
+ * @returns {object} The algorithm for new hashes and the parameters of each algorithm.
+ */
+const settings = () => ({
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'argon2id',
+  argon2id: {
+    type: argon2.argon2id,
+    memoryCost: Number(process.env.ARGON2_MEMORY_COST) || 19456,
+    timeCost: Number(process.env.ARGON2_TIME_COST) || 2,
+    parallelism: Number(process.env.ARGON2_PARALLELISM) || 1
+  },
+  bcrypt: {
+    cost: Number(process.env.BCRYPT_COST) || 12
+  }
+})
+
+/**
+ * Returns the algorithm of a hash.
+ *
+ * @param {string} hash - The hash.
+ * @returns {string} argon2id, bcrypt or unknown.
+ */
+export const algorithmOf = (hash) => {
+  if (hash?.startsWith('$argon2id$')) {
+    return 'argon2id'
+  }
+  if (/^\$2[aby]\$/.test(hash ?? '')) {
+    return 'bcrypt'
+  }
+  return 'unknown'
+}
+
+/**
+ * Hashes a password with the configured algorithm and parameters.
+ *
+ * @param {string} password - The password.
+ * @returns {Promise<string>} The hash.
+ */
+export const hashPassword = async (password) => {
+  const { algorithm, ...options } = settings()
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.hash(password, options.bcrypt.cost)
+  }
+
+  return argon2.hash(password, options.argon2id)
+}
+
+/**
+ * Verifies a password against a hash of any supported algorithm.
+ *
+ * @param {string} password - The password.
+ * @param {string} hash - The hash.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+export const verifyPassword = async (password, hash) => {
+  if (typeof password !== 'string') {
+    return false
+  }
+
+  switch (algorithmOf(hash)) {
+    case 'argon2id':
+      return argon2.verify(hash, password)
+    case 'bcrypt':
+      return bcrypt.compare(password, hash)
+    default:
+      return false
+  }
+}
+
+/**
+ * Returns true if a hash was not made with the configured algorithm and parameters.
+ *
+ * @param {string} hash - The hash.
+ * @returns {boolean} True if the password should be hashed again.
+ */
+export const needsRehash = (hash) => {
+  const { algorithm, ...options } = settings()
+
+  if (algorithmOf(hash) !== algorithm) {
+    return true
+  }
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.getRounds(hash) !== options.bcrypt.cost
+  }
+
+  const { memoryCost, timeCost, parallelism } = options.argon2id
+  return argon2.needsRehash(hash, { memoryCost, timeCost, parallelism })
+}
@@ -0,0 +1,134 @@
+/**
+ * Module for the password policy.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { Company } from '../models/company.js'
+import { verifyPassword } from './password-hash.js'
+import { createValidationError } from './validation.js'
+
+// The character classes counted by the policy.
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/]
+
+/**
+ * Returns the policy settings, configurable through the environment.
+ *
+ * @returns {object} The settings.
+ */
+export const passwordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+  maxLength: 256,
+  minCharacterClasses: Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES ?? 3),
+  history: Number(process.env.PASSWORD_HISTORY ?? 5),
+  // Directory of SHA-1 range files, one per five character hash prefix, e.g. 5BAA6.txt with lines SUFFIX:COUNT.
+  breachedPasswordsDir: process.env.BREACHED_PASSWORDS_DIR
+})
+
+/**
+ * Returns true if a password is in the breached password list.
+ *
+ * Only the file of the hash prefix is read, the same k-anonymity lookup as
+ * the Pwned Passwords range API.
+ *
+ * @param {string} password - The password.
+ * @param {string} directory - The directory of range files.
+ * @returns {Promise<boolean>} True if the password has been breached.
+ */
+const isBreached = async (password, directory) => {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase()
+  const prefix = hash.slice(0, 5)
+  const suffix = hash.slice(5)
+
+  let range
+  try {
+    range = await fs.readFile(path.join(directory, `${prefix}.txt`), 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false
+    }
+    throw err
+  }
+
+  return range.split('\n').some(line => line.split(':')[0].trim().toUpperCase() === suffix)
+}
+
+/**
+ * Returns true if the password contains a word, ignoring case and words too short to matter.
+ *
+ * @param {string} password - The password.
+ * @param {string} word - The word.
+ * @returns {boolean} True if the password contains the word.
+ */
+const containsWord = (password, word) => word.length >= 3 && password.toLowerCase().includes(word.toLowerCase())
+
+/**
+ * Checks a new password of a user against the password policy.
+ *
+ * @param {string} password - The new password.
+ * @param {object} user - The user choosing the password.
+ * @returns {Promise<object[]>} The broken rules, each with a rule name and a message. Empty if the password is accepted.
+ */
+export const checkPassword = async (password, user) => {
+  const policy = passwordPolicy()
+  const errors = []
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    return [{ rule: 'length', message: `The password must be at least ${policy.minLength} characters long.` }]
+  }
+  if (password.length > policy.maxLength) {
+    return [{ rule: 'length', message: `The password must be at most ${policy.maxLength} characters long.` }]
+  }
+
+  if (CHARACTER_CLASSES.filter(regexp => regexp.test(password)).length < policy.minCharacterClasses) {
+    errors.push({
+      rule: 'character-classes',
+      message: `The password must contain at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, digits and symbols.`
+    })
+  }
+
+  const [localPart] = user.email.split('@')
+  if (containsWord(password, localPart)) {
+    errors.push({ rule: 'email', message: 'The password must not contain your email address.' })
+  }
+
+  // The whole company name, and each longer word of it.
+  const company = user.populated('company') ? user.company : await Company.findById(user.company)
+  const companyName = company?.name ?? ''
+  const companyWords = [companyName.replace(/[^\p{L}\p{N}]/gu, ''), ...companyName.split(/\s+/).filter(word => word.length >= 4)]
+  if (companyWords.some(word => containsWord(password, word))) {
+    errors.push({ rule: 'company', message: 'The password must not contain the company name.' })
+  }
+
+  if (policy.history > 0) {
+    const hashes = [user.password, ...(user.passwordHistory ?? [])].filter(Boolean).slice(0, policy.history)
+    for (const hash of hashes) {
+      if (await verifyPassword(password, hash)) {
+        errors.push({ rule: 'history', message: `The password must not be one of your last ${policy.history} passwords.` })
+        break
+      }
+    }
+  }
+
+  if (policy.breachedPasswordsDir && await isBreached(password, policy.breachedPasswordsDir)) {
+    errors.push({ rule: 'breached', message: 'The password has appeared in a data breach and cannot be used.' })
+  }
+
+  return errors
+}
+
+/**
+ * Creates the error sent when a password breaks the policy.
+ *
+ * @param {object[]} errors - The broken rules.
+ * @param {string} name - The name of the password field in the request.
+ * @returns {Error} A 400 error listing each broken rule.
+ */
+export const createPasswordPolicyError = (errors, name) => createValidationError(
+  errors.map(({ rule, message }) => ({ name, in: 'body', reason: message, rule })),
+  'The password does not meet the password policy.'
+)
@@ -0,0 +1,90 @@
+/**
+ * Module for delivering refresh tokens in cookies.
+ *
+ * Browser clients can have the refresh token set as an HttpOnly cookie,
+ * sent only to the refresh and logout routes. As the browser sends the
+ * cookie by itself, those routes also require a double-submit CSRF token:
+ * the csrf_token cookie repeated in the X-CSRF-Token header.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import createError from 'http-errors'
+
+export const REFRESH_COOKIE = 'refresh_token'
+export const CSRF_COOKIE = 'csrf_token'
+
+/**
+ * Returns the options shared by the cookies.
+ *
+ * @returns {object} The cookie options.
+ */
+const cookieOptions = () => ({
+  secure: process.env.REFRESH_TOKEN_COOKIE_SECURE !== 'false',
+  sameSite: process.env.REFRESH_TOKEN_COOKIE_SAMESITE || 'strict'
+})
+
+/**
+ * Returns the paths the refresh token cookie is sent to.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string[]} The paths of the refresh and logout routes.
+ */
+const cookiePaths = (req) => [`${req.baseUrl}/refresh`, `${req.baseUrl}/logout`]
+
+/**
+ * Sets the refresh token cookie and a new CSRF token cookie.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {string} The CSRF token, to be sent in the X-CSRF-Token header.
+ */
+export const setRefreshCookie = (req, res, refreshToken) => {
+  const csrfToken = crypto.randomBytes(32).toString('base64url')
+  const maxAge = jwt.decode(refreshToken).exp * 1000 - Date.now()
+
+  for (const path of cookiePaths(req)) {
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), httpOnly: true, path, maxAge })
+  }
+  res.cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions(), path: '/', maxAge })
+
+  return csrfToken
+}
+
+/**
+ * Clears the refresh token and CSRF token cookies.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+export const clearRefreshCookie = (req, res) => {
+  for (const path of cookiePaths(req)) {
+    res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), httpOnly: true, path })
+  }
+  res.clearCookie(CSRF_COOKIE, { ...cookieOptions(), path: '/' })
+}
+
+/**
+ * Reads the refresh token cookie after checking the CSRF token.
+ *
+ * @param {object} req - Express request object.
+ * @returns {string} The refresh token.
+ */
+export const readRefreshCookie = (req) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE]
+  if (!refreshToken) {
+    throw createError(401, 'Invalid refresh token')
+  }
+
+  const cookie = Buffer.from(String(req.cookies[CSRF_COOKIE] ?? ''))
+  const header = Buffer.from(String(req.get('X-CSRF-Token') ?? ''))
+  if (!cookie.length || cookie.length !== header.length || !crypto.timingSafeEqual(cookie, header)) {
+    throw createError(403, 'Invalid CSRF token.')
+  }
+
+  return refreshToken
+}
@@ -0,0 +1,129 @@
+/**
+ * Module for signing in with SAML 2.0 identity providers.
+ *
+ * The service acts as a SAML service provider with the entity id of the
+ * issuer. Users are sent to the provider with the HTTP-Redirect binding,
+ * and the provider posts the response to the assertion consumer service of
+ * the company.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { SAML } from '@node-saml/node-saml'
+import { DOMParser } from '@xmldom/xmldom'
+import { issuer } from '../config/oidc.js'
+
+const METADATA_NS = 'urn:oasis:names:tc:SAML:2.0:metadata'
+const REDIRECT_BINDING = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect'
+
+/**
+ * Returns the URL the identity provider posts responses to.
+ *
+ * @param {string} orgNo - The organization number of the company.
+ * @returns {string} The assertion consumer service URL.
+ */
+export const assertionConsumerServiceUrl = (orgNo) => `${issuer()}/sso/${orgNo}/saml/acs`
+
+/**
+ * Creates the cache of AuthnRequest ids, holding only the request of a sign in attempt.
+ *
+ * @param {string} requestId - The id of the AuthnRequest.
+ * @param {Date} createdAt - When the request was sent.
+ * @returns {object} The cache provider.
+ */
+const attemptCache = (requestId, createdAt) => ({
+  /**
+   * Does nothing, the request id is stored with the attempt.
+   *
+   * @returns {Promise<null>} Nothing.
+   */
+  async saveAsync () {
+    return null
+  },
+
+  /**
+   * Returns when the request was sent, if it is the request of the attempt.
+   *
+   * @param {string} key - The request id the response answers.
+   * @returns {Promise<string>} The ISO timestamp, or null.
+   */
+  async getAsync (key) {
+    return key === requestId ? createdAt.toISOString() : null
+  },
+
+  /**
+   * Does nothing, the attempt can only be completed once.
+   *
+   * @returns {Promise<null>} Nothing.
+   */
+  async removeAsync () {
+    return null
+  }
+})
+
+/**
+ * Creates a SAML service provider for the identity provider of a company.
+ *
+ * A response is only accepted if it answers the AuthnRequest of the sign in
+ * attempt, so each attempt gets a service provider of its own.
+ *
+ * @param {object} provider - The identity provider.
+ * @param {string} orgNo - The organization number of the company.
+ * @param {object} attempt - The sign in attempt.
+ * @param {string} attempt.requestId - The id of the AuthnRequest.
+ * @param {Date} [attempt.createdAt] - When the request was sent.
+ * @returns {SAML} The service provider.
+ */
+export const createServiceProvider = (provider, orgNo, { requestId, createdAt = new Date() }) => new SAML({
+  issuer: issuer(),
+  callbackUrl: assertionConsumerServiceUrl(orgNo),
+  entryPoint: provider.saml.entryPoint,
+  idpIssuer: provider.saml.entityId,
+  idpCert: provider.saml.certificates,
+  audience: issuer(),
+  // Most providers sign the assertion only.
+  wantAssertionsSigned: true,
+  wantAuthnResponseSigned: false,
+  identifierFormat: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+  /**
+   * Returns the id of the AuthnRequest.
+   *
+   * @returns {string} The request id.
+   */
+  generateUniqueId () {
+    return requestId
+  },
+  validateInResponseTo: 'always',
+  cacheProvider: attemptCache(requestId, createdAt)
+})
+
+/**
+ * Reads the settings of an identity provider from its SAML metadata.
+ *
+ * @param {string} xml - The EntityDescriptor of the identity provider.
+ * @returns {object} The entity id, the HTTP-Redirect single sign-on URL and the signing certificates.
+ */
+export const parseMetadata = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml')
+  const entity = doc.getElementsByTagNameNS(METADATA_NS, 'EntityDescriptor')[0]
+  const idp = entity?.getElementsByTagNameNS(METADATA_NS, 'IDPSSODescriptor')[0]
+  if (!idp) {
+    throw new Error('The metadata has no IDPSSODescriptor.')
+  }
+
+  const service = Array.from(idp.getElementsByTagNameNS(METADATA_NS, 'SingleSignOnService'))
+    .find(service => service.getAttribute('Binding') === REDIRECT_BINDING)
+
+  // Keys without a use are used for signing too.
+  const certificates = Array.from(idp.getElementsByTagNameNS(METADATA_NS, 'KeyDescriptor'))
+    .filter(key => key.getAttribute('use') !== 'encryption')
+    .flatMap(key => Array.from(key.getElementsByTagNameNS('*', 'X509Certificate')))
+    .map(certificate => certificate.textContent.replace(/\s/g, ''))
+
+  return {
+    entityId: entity.getAttribute('entityID'),
+    entryPoint: service?.getAttribute('Location'),
+    certificates
+  }
+}
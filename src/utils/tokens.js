@@ -0,0 +1,157 @@
+/**
+ * Module for issuing tokens.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { RefreshToken } from '../models/refresh-token.js'
+import { TokenFamily } from '../models/token-family.js'
+import { RevokedToken } from '../models/revoked-token.js'
+import { User } from '../models/user.js'
+import { keyring } from './keyring.js'
+import { issuer } from '../config/oidc.js'
+
+/**
+ * Issues an access token and a refresh token for a user.
+ *
+ * The refresh token is added to the token family, and if it replaces a used
+ * token the two are linked as parent and child.
+ *
+ * @param {object} user - The user the tokens are issued to.
+ * @param {object} family - The token family the refresh token belongs to.
+ * @param {object} [parent] - The refresh token being rotated.
+ * @returns {Promise<object>} The access token and refresh token.
+ */
+export const issueTokens = async (user, family, parent) => {
+  // Set user-id to sub (subject) in JWT payload
+  const payload = {
+    sub: user.id,
+    org: String(user.populated('company') ?? user.company),
+    org_role: user.companyRole,
+    role: user.role,
+    permissions: user.permissions
+  }
+
+  // Tokens issued to OAuth clients carry the granted scope, never the permissions of a staff role.
+  if (family.clientId) {
+    payload.client_id = family.clientId
+    payload.scope = family.scope.join(' ')
+    payload.permissions = []
+  }
+
+  // Create the access token with the shorter lifespan, sid and amr tell which session it belongs to and how it was started.
+  const accessToken = await keyring.sign({ ...payload, sid: family.id, amr: family.amr }, {
+    expiresIn: process.env.ACCESS_TOKEN_LIFE
+  })
+
+  // Create the refresh token with the longer lifespan, jwtid keeps tokens issued in the same second unique.
+  const refreshToken = jwt.sign(
+    payload,
+    process.env.REFRESH_TOKEN_SECRET,
+    {
+      algorithm: 'HS256',
+      issuer: issuer(),
+      audience: issuer(),
+      expiresIn: process.env.REFRESH_TOKEN_LIFE,
+      jwtid: crypto.randomUUID()
+    }
+  )
+  const expireAt = new Date(jwt.decode(refreshToken).exp * 1000)
+
+  const storedToken = await RefreshToken.create({
+    tokenHash: RefreshToken.hash(refreshToken),
+    user: user.id,
+    family: family.id,
+    parent: parent?.id,
+    expire_at: expireAt
+  })
+
+  if (parent) {
+    await RefreshToken.findByIdAndUpdate(parent.id, { child: storedToken.id })
+  }
+
+  // Keep the family as long as its newest token.
+  family.expire_at = expireAt
+  await family.save()
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken
+  }
+}
+
+/**
+ * Issues an access token letting staff act as a user.
+ *
+ * The act claim (RFC 8693) names the staff user, so resource servers can
+ * tell the token from the user's own. The token is short-lived, has no
+ * permissions and no refresh token.
+ *
+ * @param {object} user - The user to act as.
+ * @param {string} actor - The id of the staff user.
+ * @returns {Promise<string>} The access token.
+ */
+export const issueImpersonationToken = async (user, actor) => keyring.sign({
+  sub: user.id,
+  org: String(user.company),
+  org_role: user.companyRole,
+  role: user.role,
+  permissions: [],
+  act: { sub: actor }
+}, {
+  expiresIn: process.env.IMPERSONATION_TOKEN_LIFE || '15m'
+})
+
+/**
+ * Verifies an access token and checks that it has not been revoked.
+ *
+ * @param {string} token - The access token.
+ * @returns {Promise<object>} The verified payload.
+ */
+export const verifyAccessToken = async (token) => {
+  const payload = await keyring.verify(token)
+
+  if (payload.jti && await RevokedToken.isRevoked(payload.jti)) {
+    throw new jwt.JsonWebTokenError('jwt revoked')
+  }
+
+  return payload
+}
+
+/**
+ * Redeems a refresh token so it can be rotated.
+ *
+ * The token is marked as used. If it had already been used, the token is
+ * being replayed and its whole family is revoked.
+ *
+ * @param {string} token - The refresh token presented.
+ * @param {string} [clientId] - The OAuth client presenting the token, if any.
+ * @returns {Promise<object>} The stored token, its family and user, and whether it was reused. Null if the token is invalid.
+ */
+export const redeemRefreshToken = async (token, clientId) => {
+  try {
+    jwt.verify(token, process.env.REFRESH_TOKEN_SECRET, { algorithms: ['HS256'] })
+  } catch {
+    return null
+  }
+
+  const refreshToken = await RefreshToken.findByToken(token)
+  const family = refreshToken && await TokenFamily.findById(refreshToken.family)
+  const user = refreshToken && await User.findById(refreshToken.user)
+
+  // Tokens can only be refreshed by the client they were issued to, and not after the user is deactivated.
+  if (!family || family.revokedAt || user?.status !== 'active' || family.clientId !== clientId) {
+    return null
+  }
+
+  // Only one request can use the token, any other use is a replay.
+  const reused = !(await RefreshToken.consume(refreshToken.id))
+  if (reused) {
+    await TokenFamily.revoke(family.id, 'reuse')
+  }
+
+  return { refreshToken, family, user, reused }
+}
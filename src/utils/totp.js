@@ -0,0 +1,113 @@
+/**
+ * Module for time-based one-time passwords (RFC 6238).
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const PERIOD = 30
+const DIGITS = 6
+
+/**
+ * Encodes a buffer as base32 (RFC 4648, without padding).
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0')
+  }
+
+  let output = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    output += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return output
+}
+
+/**
+ * Decodes a base32 string.
+ *
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+const base32Decode = (input) => {
+  let bits = ''
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = ALPHABET.indexOf(char)
+    if (value === -1) {
+      throw new Error('Invalid base32 character.')
+    }
+    bits += value.toString(2).padStart(5, '0')
+  }
+
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates a new random secret.
+ *
+ * @returns {string} The base32 encoded secret.
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * Generates the code for a time step.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} step - The time step, the number of periods since the epoch.
+ * @returns {string} The code.
+ */
+export const generate = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+/**
+ * Verifies a code, allowing for one period of clock drift in each direction.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code to verify.
+ * @returns {number|null} The time step the code matched, or null.
+ */
+export const verify = (secret, code) => {
+  if (!secret || !/^\d{6}$/.test(code)) {
+    return null
+  }
+
+  const current = Math.floor(Date.now() / 1000 / PERIOD)
+  for (const step of [current - 1, current, current + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(generate(secret, step)), Buffer.from(code))) {
+      return step
+    }
+  }
+  return null
+}
+
+/**
+ * Creates an otpauth URI, usually shown as a QR code to authenticator apps.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} account - The account name, e.g. the email address.
+ * @returns {string} The URI.
+ */
+export const otpauthUri = (secret, account) => {
+  const issuer = process.env.MFA_ISSUER || 'Lillje Consulting'
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: PERIOD })
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?${params}`
+}
@@ -0,0 +1,31 @@
+/**
+ * Module for deleting users.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { RefreshToken } from '../models/refresh-token.js'
+import { TokenFamily } from '../models/token-family.js'
+import { ApiKey } from '../models/api-key.js'
+import { Passkey } from '../models/passkey.js'
+import { WebAuthnChallenge } from '../models/webauthn-challenge.js'
+import { AuthorizationCode } from '../models/authorization-code.js'
+import { Invitation } from '../models/invitation.js'
+import { PasswordReset } from '../models/password-reset.js'
+
+/**
+ * Deletes a user together with its sessions, API keys, passkeys, authorization codes, invitations and reset links.
+ *
+ * The user goes last, so a failure leaves no records without their user.
+ * Deactivate the user first, so it cannot sign in while the records are deleted.
+ *
+ * @param {object} user - The user.
+ */
+export const deleteUser = async (user) => {
+  for (const Model of [RefreshToken, TokenFamily, ApiKey, Passkey, WebAuthnChallenge, AuthorizationCode, Invitation, PasswordReset]) {
+    await Model.deleteMany({ user: user.id })
+  }
+
+  await user.deleteOne()
+}
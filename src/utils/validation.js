@@ -0,0 +1,172 @@
+/**
+ * Module for validating requests against declarative schemas.
+ *
+ * A schema names the fields of req.body and req.query, each with rules:
+ * type (string, integer, boolean, array or object), required, format (email,
+ * objectId, date or url), minLength, maxLength, min, max, enum, items (the
+ * rules of array items) and matches (the name of a field that must have the
+ * same value).
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import createError from 'http-errors'
+import mongoose from 'mongoose'
+import validator from 'validator'
+
+const FORMATS = {
+  email: [value => validator.isEmail(value), 'must be a valid email address'],
+  objectId: [value => mongoose.isValidObjectId(value) && /^[0-9a-f]{24}$/i.test(value), 'must be a valid id'],
+  date: [value => !isNaN(Date.parse(value)), 'must be a valid date'],
+  url: [value => validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: false }), 'must be a valid http or https URL']
+}
+
+/**
+ * Returns why a value breaks the rules of a field.
+ *
+ * @param {*} value - The value, never undefined.
+ * @param {object} rules - The rules of the field.
+ * @param {object} values - All values of the request part, for matches.
+ * @returns {string} The reason, or null if the value is valid.
+ */
+const check = (value, rules, values) => {
+  switch (rules.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string'
+      }
+      break
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return 'must be an integer'
+      }
+      break
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be a boolean'
+      }
+      break
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be an array'
+      }
+      break
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be an object'
+      }
+      break
+  }
+
+  if (rules.format && !FORMATS[rules.format][0](value)) {
+    return FORMATS[rules.format][1]
+  }
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return `must be at least ${rules.minLength} characters long`
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return `must be at most ${rules.maxLength} characters long`
+  }
+  if (rules.min !== undefined && value < rules.min) {
+    return `must be at least ${rules.min}`
+  }
+  if (rules.max !== undefined && value > rules.max) {
+    return `must be at most ${rules.max}`
+  }
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `must be one of: ${rules.enum.join(', ')}`
+  }
+  if (rules.matches && value !== values[rules.matches]) {
+    return `must match ${rules.matches}`
+  }
+  if (rules.items) {
+    const index = value.findIndex(item => check(item, rules.items, values))
+    if (index !== -1) {
+      return `item ${index} ${check(value[index], rules.items, values)}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validates one part of a request, body or query.
+ *
+ * Query parameters declared as integers or booleans are converted, so the
+ * controller gets the typed values.
+ *
+ * @param {object} values - The values of the request part.
+ * @param {object} fields - The fields of the schema and their rules.
+ * @param {string} location - The name of the request part, used in error messages.
+ * @returns {object[]} The invalid parameters, each with a name and a reason.
+ */
+const validatePart = (values, fields, location) => {
+  const invalidParams = []
+
+  for (const [name, rules] of Object.entries(fields)) {
+    let value = values[name]
+
+    if (location === 'query' && typeof value === 'string') {
+      if (rules.type === 'integer' && /^-?\d+$/.test(value)) {
+        value = values[name] = Number(value)
+      } else if (rules.type === 'boolean' && ['true', 'false'].includes(value)) {
+        value = values[name] = value === 'true'
+      }
+    }
+
+    if (value === undefined || value === null || value === '') {
+      if (rules.required) {
+        invalidParams.push({ name, in: location, reason: 'is required' })
+      }
+      continue
+    }
+
+    const reason = check(value, rules, values)
+    if (reason) {
+      invalidParams.push({ name, in: location, reason })
+    }
+  }
+
+  return invalidParams
+}
+
+/**
+ * Creates the error sent when request parameters are invalid.
+ *
+ * @param {object[]} invalidParams - The invalid parameters, each with a name and a reason.
+ * @param {string} [message] - What was wrong with the request.
+ * @returns {Error} A 400 error, answered as RFC 7807 problem details.
+ */
+export const createValidationError = (invalidParams, message = 'The request parameters are invalid.') =>
+  createError(400, message, { invalidParams })
+
+/**
+ * Validates a request against a schema.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} schema - The schema, with the fields of body and query.
+ * @returns {object[]} The invalid parameters, empty if the request is valid.
+ */
+export const validateRequest = (req, schema) => [
+  ...(schema.body ? validatePart(req.body ?? {}, schema.body, 'body') : []),
+  ...(schema.query ? validatePart(req.query, schema.query, 'query') : [])
+]
+
+/**
+ * Returns the invalid parameters of a Mongoose ValidationError.
+ *
+ * @param {Error} err - The error.
+ * @returns {object[]} The invalid parameters, or undefined if the error is not a ValidationError.
+ */
+export const invalidParamsOf = (err) => {
+  if (err?.name !== 'ValidationError' || !err.errors) {
+    return undefined
+  }
+
+  return Object.values(err.errors).map(error => ({
+    name: error.path,
+    in: 'body',
+    reason: error.kind === 'required' ? 'is required' : error.message
+  }))
+}
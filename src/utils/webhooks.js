@@ -0,0 +1,173 @@
+/**
+ * Module for sending events to webhook endpoints.
+ *
+ * Published events are stored as deliveries in the outbox, one for every
+ * enabled endpoint subscribed to the event, and sent by the dispatcher of
+ * the server. Each delivery is a POST of the JSON event { id, type,
+ * createdAt, data } with the headers:
+ *
+ * - X-Webhook-Id: the id of the event, the same for every retry and redelivery.
+ * - X-Webhook-Event: the type of the event.
+ * - X-Webhook-Signature: t=<unix timestamp>,v1=<signature>, where the
+ * signature is the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+ * secret of the endpoint. Receivers should also reject old timestamps.
+ *
+ * Any 2xx response accepts the event. Other responses, timeouts and
+ * network errors are retried with exponential backoff.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import ms from 'ms'
+import { WebhookEndpoint } from '../models/webhook-endpoint.js'
+import { WebhookDelivery } from '../models/webhook-delivery.js'
+
+// The interval timer of the dispatcher, when started.
+let dispatcher = null
+
+// True while deliveries are being sent, so only one loop runs.
+let dispatching = false
+
+/**
+ * Returns how long an endpoint has to answer, in milliseconds.
+ *
+ * @returns {number} The timeout.
+ */
+const timeout = () => ms(process.env.WEBHOOK_TIMEOUT || '10s')
+
+/**
+ * Returns the user fields sent in the events of a user.
+ *
+ * @param {object} user - The user.
+ * @returns {object} The id, email, role, status and company of the user.
+ */
+export const userPayload = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  company: user.company?._id?.toString() ?? user.company?.toString()
+})
+
+/**
+ * Signs the body of a delivery.
+ *
+ * @param {string} secret - The secret of the endpoint.
+ * @param {number} timestamp - When the delivery is sent, in seconds since the epoch.
+ * @param {string} body - The body of the request.
+ * @returns {string} The hex encoded signature.
+ */
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+/**
+ * Sends a delivery to its endpoint and records the attempt.
+ *
+ * @param {object} delivery - The delivery, locked for the attempt.
+ * @returns {Promise<object>} The saved delivery.
+ */
+const deliver = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint)
+  if (!endpoint?.enabled) {
+    return delivery.recordAttempt({ error: 'The endpoint is disabled or deleted.', duration: 0 })
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const startedAt = Date.now()
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'auth-webhooks',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Signature': `t=${timestamp},v1=${sign(endpoint.secret, timestamp, body)}`
+      },
+      body,
+      // A redirect is not an answer from the endpoint.
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeout())
+    })
+    await response.body?.cancel()
+
+    return delivery.recordAttempt({ statusCode: response.status, duration: Date.now() - startedAt })
+  } catch (err) {
+    return delivery.recordAttempt({ error: err.cause?.message ?? err.message, duration: Date.now() - startedAt })
+  }
+}
+
+/**
+ * Sends the deliveries that are due, one at a time, until none is left.
+ */
+const dispatch = async () => {
+  if (dispatching) {
+    return
+  }
+
+  dispatching = true
+  try {
+    // Lock each delivery a while longer than the attempt may take.
+    let delivery
+    while ((delivery = await WebhookDelivery.claimNext(timeout() * 2))) {
+      await deliver(delivery)
+    }
+  } catch (err) {
+    console.error(`Failed to send webhooks: ${err}`)
+  } finally {
+    dispatching = false
+  }
+}
+
+/**
+ * Starts sending the deliveries in the outbox, checking for due ones every WEBHOOK_POLL_INTERVAL.
+ */
+export const startWebhookDispatcher = () => {
+  dispatcher = setInterval(dispatch, ms(process.env.WEBHOOK_POLL_INTERVAL || '5s'))
+  dispatch()
+}
+
+/**
+ * Publishes an event to the endpoints subscribed to it.
+ *
+ * The deliveries are stored in the outbox before the returned promise
+ * resolves, so the event is kept once the request is answered. Events are
+ * published after the change they report is saved, so a failing write is
+ * logged but never fails the request. Sending them happens in the background.
+ *
+ * @param {string} type - The event, one of WEBHOOK_EVENTS.
+ * @param {object} data - The data of the event.
+ */
+export const publish = async (type, data) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  }
+
+  try {
+    const endpoints = await WebhookEndpoint.find({ events: type, enabled: true })
+    if (!endpoints.length) {
+      return
+    }
+
+    await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpoint: endpoint.id,
+      eventId: event.id,
+      type,
+      payload: event
+    })))
+  } catch (err) {
+    console.error(`Failed to publish webhook event ${type} ${event.id}: ${err}`)
+    return
+  }
+
+  // Send right away rather than at the next poll.
+  if (dispatcher) {
+    dispatch()
+  }
+}
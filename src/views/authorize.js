@@ -0,0 +1,86 @@
+/**
+ * The sign in and consent page of the OAuth 2.0 authorization endpoint.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+// The authorization request parameters carried through the form.
+const AUTHORIZATION_PARAMS = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'code_challenge', 'code_challenge_method', 'nonce']
+
+/**
+ * Escapes text for use in HTML.
+ *
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+
+/**
+ * Renders the page asking the user to sign in and allow the client access.
+ *
+ * @param {object} options - The page options.
+ * @param {object} options.client - The client requesting access.
+ * @param {object} options.params - The authorization request parameters.
+ * @param {string[]} options.scopes - The scopes requested.
+ * @param {string} [options.email] - The email address to fill in.
+ * @param {string} [options.error] - A message to show above the form.
+ * @returns {string} The HTML page.
+ */
+export const renderAuthorizePage = ({ client, params, scopes, email, error }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in to ${escape(client.name)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 24rem; margin: 4rem auto; padding: 0 1rem; }
+    label, input, button { display: block; width: 100%; box-sizing: border-box; margin-top: .5rem; }
+    input { padding: .5rem; }
+    button { padding: .6rem; margin-top: 1rem; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>Sign in</h1>
+  <p><strong>${escape(client.name)}</strong> wants to access your account.</p>
+  ${scopes.length ? `<p>It asks for: ${scopes.map(escape).join(', ')}.</p>` : ''}
+  ${error ? `<p class="error">${escape(error)}</p>` : ''}
+  <form method="post" action="authorize">
+    ${AUTHORIZATION_PARAMS
+      .filter(name => params[name] !== undefined)
+      .map(name => `<input type="hidden" name="${name}" value="${escape(params[name])}">`)
+      .join('\n    ')}
+    <label for="email">Email</label>
+    <input id="email" name="email" type="email" autocomplete="username" value="${escape(email)}">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password">
+    <label for="code">Two-factor code, if enabled</label>
+    <input id="code" name="code" inputmode="numeric" autocomplete="one-time-code">
+    <button name="decision" value="allow">Allow</button>
+    <button name="decision" value="deny">Deny</button>
+  </form>
+</body>
+</html>
+`
+
+/**
+ * Renders a page explaining why the authorization request cannot be processed.
+ *
+ * Used when the client or redirect URI is unknown, so the user cannot be sent back.
+ *
+ * @param {string} message - The error message.
+ * @returns {string} The HTML page.
+ */
+export const renderErrorPage = (message) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Sign in failed</title>
+</head>
+<body>
+  <h1>Sign in failed</h1>
+  <p>${escape(message)}</p>
+</body>
+</html>
+`
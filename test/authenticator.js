@@ -0,0 +1,143 @@
+/**
+ * A software authenticator answering WebAuthn ceremonies like a platform passkey.
+ *
+ * Credentials are ES256 key pairs with "none" attestation, and every
+ * assertion verifies the user and increments the signature counter.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import { isoCBOR } from '@simplewebauthn/server/helpers'
+
+/**
+ * Returns the SHA-256 digest of data.
+ *
+ * @param {Buffer|string} data - The data.
+ * @returns {Buffer} The digest.
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest()
+
+/**
+ * Encodes the client data of a ceremony.
+ *
+ * @param {string} type - webauthn.create or webauthn.get.
+ * @param {string} challenge - The challenge from the options.
+ * @param {string} origin - The origin of the page running the ceremony.
+ * @returns {Buffer} The client data JSON.
+ */
+const clientData = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }))
+
+/**
+ * Encodes authenticator data with the user present and verified.
+ *
+ * @param {string} rpId - The id of the relying party.
+ * @param {number} counter - The signature counter.
+ * @param {Buffer} [attestedCredential] - The attested credential data, when registering.
+ * @returns {Buffer} The authenticator data.
+ */
+const authenticatorData = (rpId, counter, attestedCredential) => {
+  const flags = Buffer.from([0x01 | 0x04 | (attestedCredential ? 0x40 : 0)])
+  const signCount = Buffer.alloc(4)
+  signCount.writeUInt32BE(counter)
+
+  return Buffer.concat([sha256(rpId), flags, signCount, ...(attestedCredential ? [attestedCredential] : [])])
+}
+
+/**
+ * Encodes a public key as a COSE key.
+ *
+ * @param {crypto.KeyObject} publicKey - The P-256 public key.
+ * @returns {Uint8Array} The COSE key.
+ */
+const coseKey = (publicKey) => {
+  const { x, y } = publicKey.export({ format: 'jwk' })
+
+  return isoCBOR.encode(new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(x, 'base64url')],
+    [-3, Buffer.from(y, 'base64url')]
+  ]))
+}
+
+/**
+ * Encapsulates a software authenticator.
+ */
+export class Authenticator {
+  /**
+   * Creates an authenticator for the pages of an origin.
+   *
+   * @param {string} origin - The origin, e.g. http://localhost:3000.
+   */
+  constructor (origin) {
+    this.origin = origin
+    this.credentials = new Map()
+  }
+
+  /**
+   * Creates a credential, like navigator.credentials.create().
+   *
+   * @param {object} options - The registration options from the server.
+   * @returns {object} The registration response to send to the server.
+   */
+  create (options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    const id = crypto.randomBytes(16)
+    const credential = { id: id.toString('base64url'), rpId: options.rp.id, userHandle: options.user.id, privateKey, counter: 0 }
+    this.credentials.set(credential.id, credential)
+
+    const idLength = Buffer.alloc(2)
+    idLength.writeUInt16BE(id.length)
+    const attestedCredential = Buffer.concat([Buffer.alloc(16), idLength, id, coseKey(publicKey)])
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authenticatorData(credential.rpId, credential.counter, attestedCredential)]
+    ]))
+
+    return {
+      id: credential.id,
+      rawId: credential.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData('webauthn.create', options.challenge, this.origin).toString('base64url'),
+        attestationObject: Buffer.from(attestationObject).toString('base64url'),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    }
+  }
+
+  /**
+   * Signs a challenge with a credential, like navigator.credentials.get().
+   *
+   * @param {object} options - The authentication options from the server.
+   * @param {string} [credentialId] - The credential to use, by default the first for the relying party.
+   * @returns {object} The authentication response to send to the server.
+   */
+  get (options, credentialId) {
+    const credential = credentialId
+      ? this.credentials.get(credentialId)
+      : [...this.credentials.values()].find(credential => credential.rpId === options.rpId)
+    credential.counter++
+
+    const data = authenticatorData(credential.rpId, credential.counter)
+    const clientDataJSON = clientData('webauthn.get', options.challenge, this.origin)
+
+    return {
+      id: credential.id,
+      rawId: credential.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: data.toString('base64url'),
+        signature: crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), credential.privateKey).toString('base64url'),
+        userHandle: credential.userHandle
+      },
+      clientExtensionResults: {}
+    }
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Tests of company admins managing their colleagues.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { connectDB, clearDB, disconnectDB, createUser, createRequest, createResponse } from './helpers.js'
+import { User } from '../src/models/user.js'
+import { TokenFamily } from '../src/models/token-family.js'
+import { CompanyController } from '../src/controllers/api/company-controller.js'
+
+/**
+ * Makes a request about a colleague as a company admin, authorizing access to the colleague first.
+ *
+ * @param {string} action - The controller method.
+ * @param {object} admin - The company admin making the request.
+ * @param {object} member - The colleague the request is about.
+ * @param {object} [body] - The request body.
+ * @returns {Promise<number>} The status of the response.
+ */
+const requestAs = async (action, admin, member, body = {}) => {
+  const controller = new CompanyController()
+  const req = createRequest({
+    member: await User.findById(member.id),
+    user: { sub: admin.id, org: admin.company.toString(), orgRole: admin.companyRole },
+    body
+  })
+  const res = createResponse()
+  let status
+  let authorized = false
+  controller.authorizeMember(req, res, err => {
+    status = err?.status
+    authorized = !err
+  })
+
+  if (authorized) {
+    await controller[action](req, res, err => { status = err.status ?? 500 })
+  }
+
+  return status ?? res.statusCode
+}
+
+/**
+ * Creates the admin of a new company.
+ *
+ * @returns {Promise<User>} The admin.
+ */
+const createCompanyAdmin = () => createUser({ company: new mongoose.Types.ObjectId(), companyRole: 'admin' })
+
+beforeAll(connectDB)
+afterEach(clearDB)
+afterAll(disconnectDB)
+
+describe('Company members', () => {
+  test('removes a colleague together with the sessions', async () => {
+    const admin = await createCompanyAdmin()
+    const member = await createUser({ company: admin.company })
+    await TokenFamily.create({ user: member.id, expire_at: Date.now() + 60 * 60 * 1000 })
+
+    expect(await requestAs('removeMember', admin, member)).toBe(204)
+    expect(await User.exists({ _id: member.id })).toBeNull()
+    expect(await TokenFamily.countDocuments({ user: member.id })).toBe(0)
+  })
+
+  test('cannot remove staff belonging to the company', async () => {
+    const admin = await createCompanyAdmin()
+    const staff = await createUser({ company: admin.company, role: 'owner' })
+
+    expect(await requestAs('removeMember', admin, staff)).toBe(403)
+    expect(await User.exists({ _id: staff.id })).not.toBeNull()
+  })
+
+  test('cannot manage users of another company', async () => {
+    const admin = await createCompanyAdmin()
+    const other = await createUser()
+
+    expect(await requestAs('removeMember', admin, other)).toBe(404)
+  })
+
+  test('keeps the last admin of the company', async () => {
+    const admin = await createCompanyAdmin()
+
+    expect(await requestAs('updateMember', admin, admin, { companyRole: 'member' })).toBe(403)
+    expect((await User.findById(admin.id)).companyRole).toBe('admin')
+  })
+
+  test('demotes an admin while another admin is left', async () => {
+    const admin = await createCompanyAdmin()
+    const colleague = await createUser({ company: admin.company, companyRole: 'admin' })
+
+    expect(await requestAs('updateMember', admin, colleague, { companyRole: 'member' })).toBe(204)
+    expect((await User.findById(colleague.id)).companyRole).toBe('member')
+  })
+})
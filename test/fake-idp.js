@@ -0,0 +1,295 @@
+/**
+ * A fake identity provider for testing enterprise SSO.
+ *
+ * Serves a SAML 2.0 identity provider at /saml and an OpenID Connect
+ * provider at the root, signing in whoever posts an email address. Never
+ * expose it beyond localhost.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import zlib from 'zlib'
+import express from 'express'
+import jwt from 'jsonwebtoken'
+import { DOMParser } from '@xmldom/xmldom'
+import { SignedXml } from 'xml-crypto'
+
+/**
+ * Escapes text for HTML and XML.
+ *
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+
+/**
+ * Encodes a DER element.
+ *
+ * @param {number} tag - The tag of the element.
+ * @param {...Buffer} contents - The contents of the element.
+ * @returns {Buffer} The element.
+ */
+const der = (tag, ...contents) => {
+  const body = Buffer.concat(contents)
+  const length = []
+  for (let n = body.length; n > 0; n >>= 8) {
+    length.unshift(n & 0xff)
+  }
+
+  return Buffer.concat([
+    Buffer.from([tag]),
+    Buffer.from(body.length < 0x80 ? [body.length] : [0x80 | length.length, ...length]),
+    body
+  ])
+}
+
+/**
+ * Encodes a date as a DER UTCTime.
+ *
+ * @param {Date} date - The date.
+ * @returns {Buffer} The element.
+ */
+const utcTime = (date) => der(0x17, Buffer.from(`${date.toISOString().slice(2, 19).replace(/[-T:]/g, '')}Z`))
+
+/**
+ * Creates a self-signed certificate for the signing key, as SAML metadata carries certificates.
+ *
+ * @param {crypto.KeyObject} privateKey - The private signing key.
+ * @param {crypto.KeyObject} publicKey - The public signing key.
+ * @returns {string} The base64 DER of the certificate.
+ */
+const createCertificate = (privateKey, publicKey) => {
+  const sha256WithRsa = der(0x30, Buffer.from('06092a864886f70d01010b0500', 'hex'))
+  const name = der(0x30, der(0x31, der(0x30, Buffer.from('0603550403', 'hex'), der(0x0c, Buffer.from('Fake IdP')))))
+  const now = new Date()
+  const tbs = der(0x30,
+    Buffer.from('a003020102', 'hex'),
+    der(0x02, Buffer.from([0x01, ...crypto.randomBytes(8)])),
+    sha256WithRsa,
+    name,
+    der(0x30, utcTime(now), utcTime(new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  )
+
+  const signature = crypto.sign('sha256', tbs, privateKey)
+  return der(0x30, tbs, sha256WithRsa, der(0x03, Buffer.from([0]), signature)).toString('base64')
+}
+
+/**
+ * Renders a page asking for the email address to sign in as.
+ *
+ * @param {string} action - Where the form is posted.
+ * @param {object} fields - Hidden fields of the form.
+ * @returns {string} The page.
+ */
+const renderSignInPage = (action, fields) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Fake IdP</title></head>
+<body>
+  <h1>Fake IdP</h1>
+  <form method="post" action="${escape(action)}">
+    ${Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${escape(name)}" value="${escape(value)}">`).join('\n    ')}
+    <label for="email">Sign in as</label>
+    <input id="email" name="email" type="email" required autofocus>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`
+
+/**
+ * Creates a SAML response with an assertion signed by the fake provider.
+ *
+ * @param {object} request - The AuthnRequest answered.
+ * @param {string} request.id - The id of the request.
+ * @param {string} request.acs - The assertion consumer service URL.
+ * @param {string} request.audience - The entity id of the service provider.
+ * @param {string} email - The email address of the user.
+ * @param {string} samlIssuer - The entity id of the fake provider.
+ * @param {string} privatePem - The private signing key in PEM format.
+ * @returns {string} The signed response.
+ */
+const createSamlResponse = ({ id, acs, audience }, email, samlIssuer, privatePem) => {
+  const now = new Date()
+  const notBefore = new Date(now.getTime() - 60 * 1000).toISOString()
+  const notOnOrAfter = new Date(now.getTime() + 5 * 60 * 1000).toISOString()
+  const assertionId = `_${crypto.randomBytes(20).toString('hex')}`
+
+  const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_${crypto.randomBytes(20).toString('hex')}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escape(acs)}" InResponseTo="${escape(id)}">` +
+    `<saml:Issuer>${escape(samlIssuer)}</saml:Issuer>` +
+    '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+    `<saml:Assertion ID="${assertionId}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+    `<saml:Issuer>${escape(samlIssuer)}</saml:Issuer>` +
+    '<saml:Subject>' +
+    `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escape(email)}</saml:NameID>` +
+    '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+    `<saml:SubjectConfirmationData InResponseTo="${escape(id)}" NotOnOrAfter="${notOnOrAfter}" Recipient="${escape(acs)}"/>` +
+    '</saml:SubjectConfirmation>' +
+    '</saml:Subject>' +
+    `<saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}">` +
+    `<saml:AudienceRestriction><saml:Audience>${escape(audience)}</saml:Audience></saml:AudienceRestriction>` +
+    '</saml:Conditions>' +
+    `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${assertionId}">` +
+    '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+    '</saml:AuthnStatement>' +
+    '<saml:AttributeStatement>' +
+    `<saml:Attribute Name="email"><saml:AttributeValue>${escape(email)}</saml:AttributeValue></saml:Attribute>` +
+    '</saml:AttributeStatement>' +
+    '</saml:Assertion>' +
+    '</samlp:Response>'
+
+  const signature = new SignedXml({
+    privateKey: privatePem,
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#'
+  })
+  signature.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#']
+  })
+  signature.computeSignature(xml, {
+    location: { reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']", action: 'after' }
+  })
+
+  return signature.getSignedXml()
+}
+
+/**
+ * Creates the app of a fake identity provider.
+ *
+ * Each provider has its own signing key, so it must be added to the
+ * company again when it is created anew.
+ *
+ * @param {object} options - The settings of the provider.
+ * @param {string} options.base - The URL the app is served at, the issuer of its ID tokens.
+ * @param {string} [options.clientId] - The client id of the service at the OpenID Connect provider.
+ * @param {string} [options.clientSecret] - The client secret of the service.
+ * @param {boolean} [options.emailVerified] - The email_verified claim of the ID tokens.
+ * @returns {object} The Express app.
+ */
+export const createFakeIdp = ({ base, clientId = 'fake-client', clientSecret = 'fake-secret', emailVerified = true }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' })
+  const certificate = createCertificate(privateKey, publicKey)
+
+  // Authorization codes waiting for the token request.
+  const codes = new Map()
+
+  const app = express()
+  app.use(express.urlencoded({ extended: false }))
+
+  // SAML 2.0.
+
+  app.get('/saml/metadata', (req, res) => {
+    res.type('application/samlmetadata+xml').send(`<?xml version="1.0"?>
+  <md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" entityID="${base}/saml">
+    <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" WantAuthnRequestsSigned="false">
+      <md:KeyDescriptor use="signing"><ds:KeyInfo><ds:X509Data><ds:X509Certificate>${certificate}</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+      <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${base}/saml/sso"/>
+    </md:IDPSSODescriptor>
+  </md:EntityDescriptor>`)
+  })
+
+  app.get('/saml/sso', (req, res) => {
+    try {
+      const xml = zlib.inflateRawSync(Buffer.from(String(req.query.SAMLRequest), 'base64')).toString()
+      const request = new DOMParser().parseFromString(xml, 'text/xml').documentElement
+
+      res.send(renderSignInPage('/saml/sso', {
+        id: request.getAttribute('ID'),
+        acs: request.getAttribute('AssertionConsumerServiceURL'),
+        audience: request.getElementsByTagNameNS('urn:oasis:names:tc:SAML:2.0:assertion', 'Issuer')[0]?.textContent,
+        RelayState: req.query.RelayState ?? ''
+      }))
+    } catch (err) {
+      res.status(400).send(`Invalid SAMLRequest: ${escape(err.message)}`)
+    }
+  })
+
+  app.post('/saml/sso', (req, res) => {
+    const response = Buffer.from(createSamlResponse(req.body, req.body.email, `${base}/saml`, privatePem)).toString('base64')
+
+    // Post the response to the service provider, as the HTTP-POST binding does.
+    res.send(`<!DOCTYPE html>
+  <html lang="en">
+  <body onload="document.forms[0].submit()">
+    <form method="post" action="${escape(req.body.acs)}">
+      <input type="hidden" name="SAMLResponse" value="${response}">
+      <input type="hidden" name="RelayState" value="${escape(req.body.RelayState)}">
+      <noscript><button type="submit">Continue</button></noscript>
+    </form>
+  </body>
+  </html>`)
+  })
+
+  // OpenID Connect.
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: base,
+      authorization_endpoint: `${base}/authorize`,
+      token_endpoint: `${base}/token`,
+      jwks_uri: `${base}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic']
+    })
+  })
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'fake-idp', use: 'sig', alg: 'RS256' }] })
+  })
+
+  app.get('/authorize', (req, res) => {
+    if (req.query.client_id !== clientId || req.query.response_type !== 'code') {
+      res.status(400).send('Unknown client or unsupported response type.')
+      return
+    }
+
+    const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query
+    res.send(renderSignInPage('/authorize', { redirectUri, state, nonce, codeChallenge }))
+  })
+
+  app.post('/authorize', (req, res) => {
+    const { redirectUri, state, nonce, codeChallenge, email } = req.body
+    const code = crypto.randomBytes(32).toString('base64url')
+    codes.set(code, { redirectUri, nonce, codeChallenge, email, expiresAt: Date.now() + 60 * 1000 })
+
+    res.redirect(`${redirectUri}?${new URLSearchParams({ code, state })}`)
+  })
+
+  app.post('/token', (req, res) => {
+    const [id, secret] = Buffer.from((req.get('Authorization') ?? '').replace(/^Basic /, ''), 'base64').toString().split(':').map(decodeURIComponent)
+    if (id !== clientId || secret !== clientSecret) {
+      res.status(401).json({ error: 'invalid_client' })
+      return
+    }
+
+    const grant = codes.get(req.body.code)
+    codes.delete(req.body.code)
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier ?? '')).digest('base64url')
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+      res.status(400).json({ error: 'invalid_grant' })
+      return
+    }
+
+    const idToken = jwt.sign({ email: grant.email, email_verified: emailVerified, nonce: grant.nonce }, privatePem, {
+      algorithm: 'RS256',
+      keyid: 'fake-idp',
+      issuer: base,
+      audience: clientId,
+      subject: crypto.createHash('sha256').update(grant.email.toLowerCase()).digest('hex'),
+      expiresIn: '5m'
+    })
+
+    res.json({ access_token: crypto.randomBytes(32).toString('base64url'), token_type: 'Bearer', expires_in: 300, id_token: idToken })
+  })
+
+  return app
+}
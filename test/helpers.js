@@ -0,0 +1,110 @@
+/**
+ * Helpers shared by the tests.
+ *
+ * The database is the MongoDB server started by @shelf/jest-mongodb.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { User } from '../src/models/user.js'
+
+process.env.ISSUER ??= 'http://localhost:5000'
+process.env.REFRESH_TOKEN_SECRET ??= 'test-refresh-token-secret'
+process.env.REFRESH_TOKEN_LIFE ??= '1d'
+process.env.ACCESS_TOKEN_LIFE ??= '15m'
+
+/**
+ * Connects to the test database.
+ */
+export const connectDB = async () => {
+  await mongoose.connect(globalThis.__MONGO_URI__, { dbName: globalThis.__MONGO_DB_NAME__ })
+}
+
+/**
+ * Empties every collection, so each test starts from nothing.
+ */
+export const clearDB = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})))
+}
+
+/**
+ * Drops the test database and disconnects.
+ */
+export const disconnectDB = async () => {
+  await mongoose.connection.dropDatabase()
+  await mongoose.disconnect()
+}
+
+/**
+ * Creates an active customer.
+ *
+ * @param {object} [fields] - Fields overriding the defaults.
+ * @returns {Promise<User>} The saved user.
+ */
+export const createUser = async (fields = {}) => User.create({
+  email: `user-${new mongoose.Types.ObjectId()}@example.com`,
+  password: 'correct horse battery staple',
+  company: new mongoose.Types.ObjectId(),
+  ...fields
+})
+
+/**
+ * Creates a fake Express request from a local address without headers.
+ *
+ * @param {object} [fields] - Fields overriding the defaults.
+ * @returns {object} The request.
+ */
+export const createRequest = (fields = {}) => ({
+  body: {},
+  ip: '127.0.0.1',
+  /**
+   * Returns a request header, none are set.
+   *
+   * @returns {undefined} Always undefined.
+   */
+  get () {
+    return undefined
+  },
+  ...fields
+})
+
+/**
+ * Creates a fake Express response recording the status and body.
+ *
+ * @returns {object} The response.
+ */
+export const createResponse = () => ({
+  /**
+   * Records the status.
+   *
+   * @param {number} code - The status code.
+   * @returns {object} The response.
+   */
+  status (code) {
+    this.statusCode = code
+    return this
+  },
+  /**
+   * Records the body.
+   *
+   * @param {object} body - The body.
+   */
+  json (body) {
+    this.body = body
+  },
+  /**
+   * Records where the response redirects.
+   *
+   * @param {string} url - The URL.
+   */
+  redirect (url) {
+    this.statusCode = 302
+    this.location = url
+  },
+  /**
+   * Ends the response.
+   */
+  end () {}
+})
@@ -0,0 +1,114 @@
+/**
+ * Tests of login throttling.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { connectDB, clearDB, disconnectDB } from './helpers.js'
+import { LoginThrottle } from '../src/models/login-throttle.js'
+
+beforeAll(connectDB)
+afterEach(clearDB)
+afterAll(disconnectDB)
+
+describe('LoginThrottle', () => {
+  test('lets one of parallel attempts for an account through', async () => {
+    const results = await Promise.all(Array.from({ length: 20 }, () => LoginThrottle.reserve(['email:user@example.com'])))
+
+    expect(results.filter(retryAfter => retryAfter === 0)).toHaveLength(1)
+  })
+
+  test('never lets more parallel attempts from an IP address through than its threshold', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '5'
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => LoginThrottle.reserve(['ip:10.0.0.1'])))
+
+    expect(results.filter(retryAfter => retryAfter === 0)).toHaveLength(5)
+    // The attempts in progress are known to have failed or succeeded within the hold.
+    expect(results.filter(retryAfter => retryAfter === 10)).toHaveLength(15)
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP
+  })
+
+  test('delays an account from the second failure', async () => {
+    const keys = ['email:user@example.com']
+
+    expect(await LoginThrottle.reserve(keys)).toBe(0)
+    await LoginThrottle.registerFailure(keys)
+    expect(await LoginThrottle.reserve(keys)).toBe(0)
+    await LoginThrottle.registerFailure(keys)
+
+    expect(await LoginThrottle.reserve(keys)).toBeGreaterThan(0)
+  })
+
+  test('locks out an IP address at the threshold', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '3'
+    const keys = ['ip:10.0.0.1']
+
+    for (let i = 0; i < 3; i++) {
+      expect(await LoginThrottle.reserve(keys)).toBe(0)
+      await LoginThrottle.registerFailure(keys)
+    }
+
+    expect(await LoginThrottle.reserve(keys)).toBeGreaterThan(60)
+    expect((await LoginThrottle.findOne({ key: 'ip:10.0.0.1' })).locked).toBe(true)
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP
+  })
+
+  test('does not extend a lockout with rejected attempts', async () => {
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '1'
+    const keys = ['ip:10.0.0.1']
+    await LoginThrottle.reserve(keys)
+    await LoginThrottle.registerFailure(keys)
+    const locked = await LoginThrottle.findOne({ key: 'ip:10.0.0.1' })
+
+    expect(await LoginThrottle.reserve(keys)).toBeGreaterThan(60)
+
+    const after = await LoginThrottle.findOne({ key: 'ip:10.0.0.1' })
+    expect(after.expire_at).toEqual(locked.expire_at)
+    expect(after.blockedUntil).toEqual(locked.blockedUntil)
+    expect(after.failures).toBe(0)
+    delete process.env.LOGIN_MAX_FAILURES_PER_IP
+  })
+
+  test('accepts attempts again when a lockout has ended', async () => {
+    process.env.LOGIN_MAX_FAILURES = '2'
+    const keys = ['email:user@example.com', 'ip:10.0.0.1']
+    for (let i = 0; i < 2; i++) {
+      await LoginThrottle.updateOne({ key: 'email:user@example.com' }, { $unset: { blockedUntil: 1 } })
+      expect(await LoginThrottle.reserve(keys)).toBe(0)
+      await LoginThrottle.registerFailure(keys)
+    }
+    expect(await LoginThrottle.reserve(keys)).toBeGreaterThan(60)
+
+    // The lockout ends.
+    await LoginThrottle.updateOne({ key: 'email:user@example.com' }, { blockedUntil: Date.now() - 1000 })
+
+    expect(await LoginThrottle.reserve(keys)).toBe(0)
+    await LoginThrottle.registerSuccess(keys)
+    expect(await LoginThrottle.findOne({ key: 'email:user@example.com' })).toBeNull()
+    delete process.env.LOGIN_MAX_FAILURES
+  })
+
+  test('forgets the failures of an account, not of the IP address, after a successful login', async () => {
+    const keys = ['email:user@example.com', 'ip:10.0.0.1']
+
+    await LoginThrottle.reserve(keys)
+    await LoginThrottle.registerFailure(keys)
+    await LoginThrottle.reserve(keys)
+    await LoginThrottle.registerSuccess(keys)
+
+    expect(await LoginThrottle.findOne({ key: 'email:user@example.com' })).toBeNull()
+    expect((await LoginThrottle.findOne({ key: 'ip:10.0.0.1' })).failures).toBe(1)
+  })
+
+  test('does not count a released attempt', async () => {
+    const keys = ['email:user@example.com']
+
+    await LoginThrottle.reserve(keys)
+    await LoginThrottle.release(keys)
+
+    expect(await LoginThrottle.reserve(keys)).toBe(0)
+    expect((await LoginThrottle.findOne({ key: 'email:user@example.com' })).failures).toBe(1)
+  })
+})
@@ -0,0 +1,84 @@
+/**
+ * Tests of the mailer and its transports.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { connectDB, clearDB, disconnectDB, createUser, createRequest, createResponse } from './helpers.js'
+import { Mailer, MemoryTransport, mailer } from '../src/utils/mailer.js'
+import { PasswordController } from '../src/controllers/api/password-controller.js'
+
+/**
+ * Waits until a transport has received a number of messages.
+ *
+ * @param {MemoryTransport} transport - The transport.
+ * @param {number} count - The number of messages to wait for.
+ */
+const waitForMessages = async (transport, count) => {
+  for (let i = 0; i < 100 && transport.messages.length < count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+}
+
+describe('Mailer', () => {
+  const env = { ...process.env }
+
+  afterEach(() => {
+    process.env = { ...env }
+  })
+
+  test('sends messages through the transport, from MAIL_FROM', async () => {
+    process.env.MAIL_FROM = 'noreply@example.com'
+    const transport = new MemoryTransport()
+
+    await new Mailer(transport).send({ to: 'user@example.com', subject: 'Hello', text: 'Hi' })
+
+    expect(transport.messages).toEqual([{ from: 'noreply@example.com', to: 'user@example.com', subject: 'Hello', text: 'Hi' }])
+  })
+
+  test('keeps messages in memory under tests', () => {
+    delete process.env.MAIL_TRANSPORT
+
+    expect(new Mailer().transport).toBeInstanceOf(MemoryTransport)
+  })
+
+  test('refuses to start without SMTP settings outside tests', () => {
+    process.env.NODE_ENV = 'production'
+    delete process.env.MAIL_TRANSPORT
+    delete process.env.SMTP_URL
+
+    expect(() => new Mailer()).toThrow('SMTP_URL is required')
+  })
+
+  test('refuses an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon'
+
+    expect(() => new Mailer()).toThrow('Unknown MAIL_TRANSPORT pigeon.')
+  })
+})
+
+describe('Password reset email', () => {
+  const transport = new MemoryTransport()
+
+  beforeAll(async () => {
+    await connectDB()
+    mailer.setTransport(transport)
+  })
+  afterEach(clearDB)
+  afterAll(disconnectDB)
+
+  test('sends a reset link to an active user', async () => {
+    process.env.CLIENT_URL = 'http://client.test'
+    const user = await createUser()
+    const res = createResponse()
+
+    await new PasswordController().forgot(createRequest({ body: { email: user.email } }), res, err => { throw err })
+    await waitForMessages(transport, 1)
+
+    expect(res.statusCode).toBe(202)
+    expect(transport.messages).toHaveLength(1)
+    expect(transport.messages[0].to).toBe(user.email)
+    expect(transport.messages[0].text).toMatch(/^http:\/\/client\.test\/reset-password\?token=\S+$/m)
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * Tests of passkey registration and login.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import { connectDB, clearDB, disconnectDB, createUser, createRequest, createResponse } from './helpers.js'
+import { Authenticator } from './authenticator.js'
+import { Passkey } from '../src/models/passkey.js'
+import { TokenFamily } from '../src/models/token-family.js'
+import { PasskeysController } from '../src/controllers/api/passkeys-controller.js'
+import { AccountController } from '../src/controllers/api/account-controller.js'
+import { authorize } from '../src/middleware/auth.js'
+import { keyring } from '../src/utils/keyring.js'
+
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:3000'
+
+/**
+ * Calls a controller method with a fake request.
+ *
+ * @param {object} controller - The controller.
+ * @param {string} action - The controller method.
+ * @param {object} req - The request properties.
+ * @returns {Promise<object>} The response, with the status of the error passed on, if any.
+ */
+const call = async (controller, action, req) => {
+  const res = createResponse()
+  await controller[action](createRequest(req), res, err => { res.statusCode = err.status ?? 500 })
+
+  return res
+}
+
+/**
+ * Registers a passkey of an authenticator for a user.
+ *
+ * @param {Authenticator} authenticator - The authenticator.
+ * @param {object} user - The user.
+ * @returns {Promise<object>} The response.
+ */
+const registerPasskey = async (authenticator, user) => {
+  const controller = new PasskeysController()
+  const { body: options } = await call(controller, 'registrationOptions', { user: { sub: user.id } })
+
+  return call(controller, 'register', { user: { sub: user.id }, body: { response: authenticator.create(options), nickname: 'Laptop' } })
+}
+
+/**
+ * Signs in with a passkey of an authenticator.
+ *
+ * @param {Authenticator} authenticator - The authenticator.
+ * @returns {Promise<object>} The response.
+ */
+const loginWithPasskey = async (authenticator) => {
+  const controller = new AccountController()
+  const { body: options } = await call(controller, 'passkeyLoginOptions', {})
+
+  return call(controller, 'loginPasskey', { body: { response: authenticator.get(options) } })
+}
+
+beforeAll(connectDB)
+beforeEach(async () => {
+  const key = await keyring.add()
+  await keyring.promote(key.kid)
+})
+afterEach(clearDB)
+afterAll(disconnectDB)
+
+describe('Passkeys', () => {
+  test('registers a passkey', async () => {
+    const user = await createUser()
+
+    const res = await registerPasskey(new Authenticator(process.env.WEBAUTHN_ORIGIN), user)
+
+    expect(res.statusCode).toBe(201)
+    const passkey = await Passkey.findOne({ user: user.id })
+    expect(passkey.nickname).toBe('Laptop')
+    expect(passkey.counter).toBe(0)
+  })
+
+  test('rejects a registration answering an unknown challenge', async () => {
+    const user = await createUser()
+    const authenticator = new Authenticator(process.env.WEBAUTHN_ORIGIN)
+
+    const res = await call(new PasskeysController(), 'register', {
+      user: { sub: user.id },
+      body: { response: authenticator.create({ challenge: 'not-issued', rp: { id: 'localhost' }, user: { id: 'x' } }) }
+    })
+
+    expect(res.statusCode).toBe(400)
+    expect(await Passkey.countDocuments()).toBe(0)
+  })
+
+  test('rejects a registration from another origin', async () => {
+    const user = await createUser()
+
+    const res = await registerPasskey(new Authenticator('http://evil.example'), user)
+
+    expect(res.statusCode).toBe(400)
+  })
+
+  test('signs in with a registered passkey', async () => {
+    const user = await createUser()
+    const authenticator = new Authenticator(process.env.WEBAUTHN_ORIGIN)
+    await registerPasskey(authenticator, user)
+
+    const res = await loginWithPasskey(authenticator)
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.access_token).toBeDefined()
+    expect((await TokenFamily.findOne({ user: user.id })).amr).toEqual(['hwk'])
+    expect((await Passkey.findOne({ user: user.id })).counter).toBe(1)
+  })
+
+  test('rejects a replayed login', async () => {
+    const user = await createUser()
+    const authenticator = new Authenticator(process.env.WEBAUTHN_ORIGIN)
+    await registerPasskey(authenticator, user)
+    const controller = new AccountController()
+    const { body: options } = await call(controller, 'passkeyLoginOptions', {})
+    const response = authenticator.get(options)
+
+    expect((await call(controller, 'loginPasskey', { body: { response } })).statusCode).toBe(200)
+    expect((await call(controller, 'loginPasskey', { body: { response } })).statusCode).toBe(401)
+  })
+
+  test('rejects a login signed with another key', async () => {
+    const user = await createUser()
+    const authenticator = new Authenticator(process.env.WEBAUTHN_ORIGIN)
+    await registerPasskey(authenticator, user)
+    const [credential] = authenticator.credentials.values()
+    credential.privateKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey
+
+    const res = await loginWithPasskey(authenticator)
+
+    expect(res.statusCode).toBe(401)
+  })
+
+  test('rejects a login of a deactivated user', async () => {
+    const user = await createUser()
+    const authenticator = new Authenticator(process.env.WEBAUTHN_ORIGIN)
+    await registerPasskey(authenticator, user)
+    await user.updateOne({ status: 'deactivated' })
+
+    expect((await loginWithPasskey(authenticator)).statusCode).toBe(401)
+  })
+})
+
+describe('authorize', () => {
+  afterEach(() => {
+    delete process.env.MFA_REQUIRED_FOR_ADMINS
+  })
+
+  /**
+   * Authorizes a staff session started with the authentication methods.
+   *
+   * @param {string[]} amr - The authentication methods.
+   * @returns {number} The status of the error, undefined if authorized.
+   */
+  const authorizeSession = (amr) => {
+    let status
+    authorize('users:read')({ admin: { permissions: ['users:read'], amr } }, {}, err => { status = err?.status })
+    return status
+  }
+
+  test('accepts a passkey when staff must use two-factor authentication', () => {
+    process.env.MFA_REQUIRED_FOR_ADMINS = 'true'
+
+    expect(authorizeSession(['hwk'])).toBeUndefined()
+    expect(authorizeSession(['pwd', 'otp'])).toBeUndefined()
+    expect(authorizeSession(['pwd'])).toBe(403)
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Tests of refresh token rotation, replay detection and expiry.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { connectDB, clearDB, disconnectDB, createUser } from './helpers.js'
+import { RefreshToken } from '../src/models/refresh-token.js'
+import { TokenFamily } from '../src/models/token-family.js'
+import { redeemRefreshToken } from '../src/utils/tokens.js'
+import { issuer } from '../src/config/oidc.js'
+
+/**
+ * Stores a refresh token for a new session of a user.
+ *
+ * @param {object} user - The user.
+ * @param {string} [expiresIn] - The lifetime of the token.
+ * @returns {Promise<object>} The token and its family.
+ */
+const createRefreshToken = async (user, expiresIn = '1h') => {
+  const token = jwt.sign({ sub: user.id }, process.env.REFRESH_TOKEN_SECRET, {
+    algorithm: 'HS256',
+    issuer: issuer(),
+    audience: issuer(),
+    expiresIn,
+    jwtid: crypto.randomUUID()
+  })
+  const family = await TokenFamily.create({ user: user.id, expire_at: Date.now() + 60 * 60 * 1000 })
+  await RefreshToken.create({
+    tokenHash: RefreshToken.hash(token),
+    user: user.id,
+    family: family.id,
+    expire_at: Date.now() + 60 * 60 * 1000
+  })
+
+  return { token, family }
+}
+
+beforeAll(connectDB)
+afterEach(clearDB)
+afterAll(disconnectDB)
+
+describe('RefreshToken.consume', () => {
+  test('lets only one of parallel requests use a token', async () => {
+    const user = await createUser()
+    const { token } = await createRefreshToken(user)
+    const stored = await RefreshToken.findByToken(token)
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => RefreshToken.consume(stored.id)))
+
+    expect(results.filter(Boolean)).toHaveLength(1)
+  })
+})
+
+describe('redeemRefreshToken', () => {
+  test('redeems an unused token', async () => {
+    const user = await createUser()
+    const { token, family } = await createRefreshToken(user)
+
+    const redeemed = await redeemRefreshToken(token)
+
+    expect(redeemed.reused).toBe(false)
+    expect(redeemed.family.id).toBe(family.id)
+    expect(redeemed.user.id).toBe(user.id)
+    expect((await RefreshToken.findByToken(token)).usedAt).toBeInstanceOf(Date)
+  })
+
+  test('redeems a token once when it is refreshed concurrently', async () => {
+    const user = await createUser()
+    const { token, family } = await createRefreshToken(user)
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => redeemRefreshToken(token)))
+
+    expect(results.filter(result => !result.reused)).toHaveLength(1)
+    expect(results.filter(result => result.reused)).toHaveLength(4)
+    expect((await TokenFamily.findById(family.id)).revokeReason).toBe('reuse')
+  })
+
+  test('revokes the family when a used token is replayed', async () => {
+    const user = await createUser()
+    const { token, family } = await createRefreshToken(user)
+
+    expect((await redeemRefreshToken(token)).reused).toBe(false)
+    expect((await redeemRefreshToken(token)).reused).toBe(true)
+
+    const revoked = await TokenFamily.findById(family.id)
+    expect(revoked.revokedAt).toBeInstanceOf(Date)
+    expect(revoked.revokeReason).toBe('reuse')
+
+    // The revoked family cannot be refreshed any more.
+    expect(await redeemRefreshToken(token)).toBeNull()
+  })
+
+  test('rejects an expired token without revoking the family', async () => {
+    const user = await createUser()
+    const { token, family } = await createRefreshToken(user, -10)
+
+    expect(await redeemRefreshToken(token)).toBeNull()
+    expect((await TokenFamily.findById(family.id)).revokedAt).toBeUndefined()
+    expect((await RefreshToken.findByToken(token)).usedAt).toBeUndefined()
+  })
+
+  test('rejects a token of a deactivated user', async () => {
+    const user = await createUser()
+    const { token } = await createRefreshToken(user)
+    await user.updateOne({ status: 'deactivated' })
+
+    expect(await redeemRefreshToken(token)).toBeNull()
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * Tests of enterprise SSO against the fake identity provider.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import http from 'http'
+import { connectDB, clearDB, disconnectDB, createUser, createRequest, createResponse } from './helpers.js'
+import { User } from '../src/models/user.js'
+import { Company } from '../src/models/company.js'
+import { IdentityProvider } from '../src/models/identity-provider.js'
+import { SsoController } from '../src/controllers/sso-controller.js'
+import { AccountController } from '../src/controllers/api/account-controller.js'
+import { createFakeIdp } from './fake-idp.js'
+import { parseMetadata } from '../src/utils/saml.js'
+import { keyring } from '../src/utils/keyring.js'
+
+process.env.CLIENT_URL = 'http://client.test'
+
+/**
+ * Serves a fake identity provider on a free port.
+ *
+ * @param {object} [options] - Options for createFakeIdp.
+ * @returns {Promise<object>} The server and the URL it is served at.
+ */
+const startFakeIdp = async (options) => {
+  const server = http.createServer()
+  await new Promise(resolve => server.listen(0, 'localhost', resolve))
+  const base = `http://localhost:${server.address().port}`
+  server.on('request', createFakeIdp({ base, ...options }))
+
+  return { server, base }
+}
+
+/**
+ * Returns the action and hidden fields of the form on a page of the fake provider.
+ *
+ * @param {string} html - The page.
+ * @returns {object} The action and the fields.
+ */
+const readForm = (html) => ({
+  action: html.match(/<form method="post" action="([^"]*)"/)[1],
+  fields: Object.fromEntries([...html.matchAll(/<input type="hidden" name="([^"]*)" value="([^"]*)">/g)]
+    .map(([, name, value]) => [name, value.replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(code))]))
+})
+
+/**
+ * Signs in at the fake provider of a company, as a browser sent there by the service would.
+ *
+ * @param {object} provider - The identity provider of the company.
+ * @param {object} company - The company.
+ * @param {string} email - The email address to sign in as.
+ * @returns {Promise<URLSearchParams>} The parameters the client is redirected with, a code or an error.
+ */
+const signIn = async (provider, company, email) => {
+  const controller = new SsoController()
+  const request = createRequest({ identityProvider: provider, company })
+
+  const started = createResponse()
+  await controller.login(request, started, err => { throw err })
+  const { action, fields } = readForm(await (await fetch(started.location)).text())
+  const answer = await fetch(new URL(action, started.location), {
+    method: 'POST',
+    body: new URLSearchParams({ ...fields, email }),
+    redirect: 'manual'
+  })
+
+  const res = createResponse()
+  if (provider.protocol === 'saml') {
+    await controller.samlCallback({ ...request, body: readForm(await answer.text()).fields }, res)
+  } else {
+    await controller.oidcCallback({ ...request, query: Object.fromEntries(new URL(answer.headers.get('Location')).searchParams) }, res)
+  }
+
+  return new URL(res.location).searchParams
+}
+
+/**
+ * Adds a fake provider to a new company.
+ *
+ * @param {string} protocol - saml or oidc.
+ * @param {string} base - The URL of the fake provider.
+ * @param {object} [fields] - Fields overriding the defaults.
+ * @returns {Promise<object>} The provider and the company.
+ */
+const addProvider = async (protocol, base, fields = {}) => {
+  const company = await Company.create({ name: 'Acme', orgNo: '5560360793' })
+  const provider = await IdentityProvider.create({
+    company: company.id,
+    protocol,
+    domains: ['acme.test'],
+    ...(protocol === 'saml'
+      ? { saml: parseMetadata(await (await fetch(`${base}/saml/metadata`)).text()) }
+      : { oidc: { issuer: base, clientId: 'fake-client', clientSecret: 'fake-secret' } }),
+    ...fields
+  })
+
+  return { provider, company }
+}
+
+let idp
+
+beforeAll(async () => {
+  await connectDB()
+  idp = await startFakeIdp()
+})
+beforeEach(async () => {
+  const key = await keyring.add()
+  await keyring.promote(key.kid)
+})
+afterEach(clearDB)
+afterAll(async () => {
+  idp.server.close()
+  await disconnectDB()
+})
+
+describe('SAML', () => {
+  test('creates a user signing in for the first time, who logs in with the code', async () => {
+    const { provider, company } = await addProvider('saml', idp.base, { provisionUsers: true })
+
+    const params = await signIn(provider, company, 'new@acme.test')
+
+    const user = await User.findOne({ email: 'new@acme.test' })
+    expect(user.company.equals(company._id)).toBe(true)
+    expect(user.emailVerified).toBe(true)
+
+    const res = createResponse()
+    await new AccountController().loginSso(createRequest({ body: { code: params.get('code') } }), res, err => { throw err })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.access_token).toBeDefined()
+  })
+
+  test('does not create users unless the provider provisions them', async () => {
+    const { provider, company } = await addProvider('saml', idp.base)
+
+    expect((await signIn(provider, company, 'new@acme.test')).get('error')).toBe('access_denied')
+    expect(await User.exists({ email: 'new@acme.test' })).toBeNull()
+  })
+})
+
+describe('OpenID Connect', () => {
+  test('links and activates an invited user', async () => {
+    const { provider, company } = await addProvider('oidc', idp.base)
+    const user = await createUser({ email: 'invited@acme.test', company: company.id, status: 'invited', password: undefined })
+
+    expect((await signIn(provider, company, 'invited@acme.test')).get('code')).toBeTruthy()
+
+    const linked = await User.findById(user.id)
+    expect(linked.status).toBe('active')
+    expect(linked.externalIdentities[0].provider.equals(provider._id)).toBe(true)
+  })
+
+  test('does not link a user with a password unless the provider is trusted with the addresses', async () => {
+    const { provider, company } = await addProvider('oidc', idp.base)
+    const user = await createUser({ email: 'user@acme.test', company: company.id })
+
+    expect((await signIn(provider, company, 'user@acme.test')).get('error')).toBe('access_denied')
+    expect((await User.findById(user.id)).externalIdentities).toBeUndefined()
+
+    await provider.updateOne({ trustEmail: true })
+    expect((await signIn(await IdentityProvider.findById(provider.id), company, 'user@acme.test')).get('code')).toBeTruthy()
+  })
+
+  test('does not link by an address the provider has not verified', async () => {
+    const unverified = await startFakeIdp({ emailVerified: false })
+    const { provider, company } = await addProvider('oidc', unverified.base, { provisionUsers: true })
+
+    expect((await signIn(provider, company, 'new@acme.test')).get('error')).toBe('access_denied')
+    expect(await User.exists({ email: 'new@acme.test' })).toBeNull()
+    unverified.server.close()
+  })
+
+  test('does not link a user of another domain', async () => {
+    const { provider, company } = await addProvider('oidc', idp.base, { provisionUsers: true })
+
+    expect((await signIn(provider, company, 'someone@elsewhere.test')).get('error')).toBe('access_denied')
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * Tests of the user model.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import mongoose from 'mongoose'
+import { connectDB, clearDB, disconnectDB, createUser, createRequest, createResponse } from './helpers.js'
+import { User } from '../src/models/user.js'
+import { UsersController } from '../src/controllers/api/users-controller.js'
+import { ROLES } from '../src/config/roles.js'
+
+/**
+ * Makes a request to the users controller as an admin.
+ *
+ * @param {string} action - The controller method.
+ * @param {object} admin - The admin making the request.
+ * @param {object} user - The user the request is about.
+ * @param {object} [body] - The request body.
+ * @returns {Promise<number>} The status of the response.
+ */
+const requestAs = async (action, admin, user, body = {}) => {
+  const res = createResponse()
+  let status
+  await new UsersController()[action](createRequest({
+    user: await User.findById(user.id),
+    admin: { sub: admin.id, role: admin.role, permissions: ROLES[admin.role] },
+    body
+  }), res, err => { status = err.status ?? 500 })
+
+  return status ?? res.statusCode
+}
+
+beforeAll(connectDB)
+afterEach(clearDB)
+afterAll(disconnectDB)
+
+describe('User.authenticate', () => {
+  test('accepts an active user with the correct password', async () => {
+    const user = await createUser()
+
+    expect((await User.authenticate(user.email, 'correct horse battery staple')).id).toBe(user.id)
+  })
+
+  test('rejects a wrong password', async () => {
+    const user = await createUser()
+
+    await expect(User.authenticate(user.email, 'wrong password')).rejects.toThrow('Invalid credentials.')
+  })
+
+  test('rejects an unknown email address', async () => {
+    await expect(User.authenticate('nobody@example.com', 'correct horse battery staple')).rejects.toThrow('Invalid credentials.')
+  })
+
+  test('rejects an invited user, who has no password', async () => {
+    const user = await createUser({ status: 'invited', password: undefined })
+
+    await expect(User.authenticate(user.email, '')).rejects.toThrow('Invalid credentials.')
+    await expect(User.authenticate(user.email, 'not-a-real-password')).rejects.toThrow('Invalid credentials.')
+  })
+
+  test('rejects a user signing in with single sign-on, who has no password', async () => {
+    const user = await createUser({ password: undefined, externalIdentities: [{ provider: new mongoose.Types.ObjectId(), subject: 'sso-subject' }] })
+
+    await expect(User.authenticate(user.email, '')).rejects.toThrow('Invalid credentials.')
+    await expect(User.authenticate(user.email, 'not-a-real-password')).rejects.toThrow('Invalid credentials.')
+  })
+
+  test('rejects a deactivated user with the correct password', async () => {
+    const user = await createUser({ status: 'deactivated' })
+
+    await expect(User.authenticate(user.email, 'correct horse battery staple')).rejects.toThrow('The account is not active.')
+  })
+})
+
+describe('Last admin', () => {
+  test('cannot be demoted', async () => {
+    const [owner, admin] = [await createUser({ role: 'owner' }), await createUser({ role: 'admin' })]
+    await owner.updateOne({ status: 'deactivated' })
+
+    expect(await requestAs('update', owner, admin, { role: 'support' })).toBe(403)
+    expect((await User.findById(admin.id)).role).toBe('admin')
+  })
+
+  test('is kept when two admins demote each other at the same time', async () => {
+    const [first, second] = [await createUser({ role: 'admin' }), await createUser({ role: 'admin' })]
+
+    await Promise.all([
+      requestAs('update', first, second, { role: 'support' }),
+      requestAs('update', second, first, { role: 'support' })
+    ])
+
+    expect(await User.countDocuments({ role: 'admin', status: 'active' })).toBeGreaterThanOrEqual(1)
+  })
+
+  test('is kept when two admins delete each other at the same time', async () => {
+    const [first, second] = [await createUser({ role: 'admin' }), await createUser({ role: 'admin' })]
+
+    await Promise.all([
+      requestAs('remove', first, second),
+      requestAs('remove', second, first)
+    ])
+
+    expect(await User.countDocuments({ role: 'admin', status: 'active' })).toBeGreaterThanOrEqual(1)
+  })
+})
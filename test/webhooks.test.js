@@ -0,0 +1,49 @@
+/**
+ * Tests of publishing webhook events.
+ *
+ * @author Andreas Lillje
+ * @version 2.3.1
+ */
+
+import { jest } from '@jest/globals'
+import { connectDB, clearDB, disconnectDB } from './helpers.js'
+import { WebhookEndpoint } from '../src/models/webhook-endpoint.js'
+import { WebhookDelivery } from '../src/models/webhook-delivery.js'
+import { publish } from '../src/utils/webhooks.js'
+
+beforeAll(connectDB)
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await clearDB()
+})
+afterAll(disconnectDB)
+
+/**
+ * Creates an enabled endpoint.
+ *
+ * @param {string[]} events - The events it subscribes to.
+ * @returns {Promise<object>} The endpoint.
+ */
+const createEndpoint = (events) => WebhookEndpoint.create({ url: 'https://hooks.example.com/auth', secret: 'secret', events })
+
+describe('publish', () => {
+  test('stores a delivery for every subscribed endpoint before it resolves', async () => {
+    const [subscribed] = await Promise.all([createEndpoint(['user.deleted']), createEndpoint(['user.registered'])])
+
+    await publish('user.deleted', { user: { id: 'abc' } })
+
+    const deliveries = await WebhookDelivery.find()
+    expect(deliveries).toHaveLength(1)
+    expect(deliveries[0].endpoint.toString()).toBe(subscribed.id)
+    expect(deliveries[0].payload).toMatchObject({ type: 'user.deleted', data: { user: { id: 'abc' } } })
+  })
+
+  test('logs rather than fails when the deliveries cannot be stored', async () => {
+    await createEndpoint(['user.deleted'])
+    jest.spyOn(WebhookDelivery, 'insertMany').mockRejectedValue(new Error('write failed'))
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    await expect(publish('user.deleted', { user: { id: 'abc' } })).resolves.toBeUndefined()
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('write failed'))
+  })
+})